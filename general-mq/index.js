@@ -3,25 +3,126 @@
 const { AmqpConnection } = require('./lib/amqp-connection');
 const { AmqpQueue } = require('./lib/amqp-queue');
 const constants = require('./lib/constants');
+const { KeyRing } = require('./lib/envelope');
+const { MemoryConnection, clearBrokers } = require('./lib/memory-connection');
+const { MemoryQueue } = require('./lib/memory-queue');
+const { registerMetrics, renderMetrics, unregisterMetrics } = require('./lib/metrics');
 const { MqttConnection } = require('./lib/mqtt-connection');
 const { MqttQueue } = require('./lib/mqtt-queue');
+const { RpcClient, RpcServer } = require('./lib/rpc');
+
+const { DataTypes } = constants;
 
 /**
  * @typedef {Object} Engine
- * @property {AmqpConnection|MqttConnection} Connection
- * @property {AmqpQueue|MqttQueue} Queue
+ * @property {AmqpConnection|MemoryConnection|MqttConnection} Connection
+ * @property {AmqpQueue|MemoryQueue|MqttQueue} Queue
+ */
+
+const SchemePattern = /^[a-z][a-z0-9+.-]*$/;
+
+/** @type {Engine} */
+const amqp = {
+  Connection: AmqpConnection,
+  Queue: AmqpQueue,
+};
+/**
+ * The in-process engine. `clearBrokers()` removes all in-process brokers and their messages.
+ *
+ * @type {Engine}
+ */
+const memory = {
+  Connection: MemoryConnection,
+  Queue: MemoryQueue,
+  clearBrokers,
+};
+/** @type {Engine} */
+const mqtt = {
+  Connection: MqttConnection,
+  Queue: MqttQueue,
+};
+
+/**
+ * Registered engines with URI schemes (without the trailing `:`) as keys.
+ *
+ * @type {Map<string, Engine>}
  */
+const engines = new Map([
+  ['amqp', amqp],
+  ['amqps', amqp],
+  ['memory', memory],
+  ['mqtt', mqtt],
+  ['mqtts', mqtt],
+  ['ws', mqtt],
+  ['wss', mqtt],
+]);
+
+/**
+ * To register an engine for the URI scheme. The registered engine replaces the existing one with
+ * the same scheme.
+ *
+ * The engine's `Connection` MUST accept `{ uri }` options and its `Queue` MUST accept the same
+ * options as `AmqpQueue`/`MqttQueue` with the connection instance.
+ *
+ * @param {string} scheme The URI scheme such as `amqp` or `amqp:`.
+ * @param {Engine} engine
+ * @throws {Error} Wrong arguments.
+ */
+function registerEngine(scheme, engine) {
+  if (typeof scheme !== DataTypes.String) {
+    throw Error('`scheme` is not a string');
+  }
+  scheme = scheme.endsWith(':') ? scheme.slice(0, -1) : scheme;
+  if (!SchemePattern.test(scheme)) {
+    throw Error('`scheme` is not a valid URI scheme');
+  } else if (!engine || typeof engine !== DataTypes.Object || Array.isArray(engine)) {
+    throw Error('`engine` is not an object');
+  } else if (
+    typeof engine.Connection !== DataTypes.Function ||
+    typeof engine.Queue !== DataTypes.Function
+  ) {
+    throw Error('`engine.Connection` and `engine.Queue` must be classes');
+  }
+
+  engines.set(scheme, engine);
+}
+
+/**
+ * To get the engine for the URI scheme.
+ *
+ * @param {string} scheme The URI scheme such as `amqp` or `amqp:` (from `URL.protocol`).
+ * @returns {?Engine} The engine or `null` if the scheme has not been registered.
+ */
+function getEngine(scheme) {
+  if (typeof scheme !== DataTypes.String) {
+    return null;
+  }
+  scheme = scheme.endsWith(':') ? scheme.slice(0, -1) : scheme;
+  return engines.get(scheme) || null;
+}
+
+/**
+ * To get all registered URI schemes.
+ *
+ * @returns {string[]} Schemes without the trailing `:`.
+ */
+function engineSchemes() {
+  return Array.from(engines.keys());
+}
 
 module.exports = {
-  /** @type {Engine} */
-  amqp: {
-    Connection: AmqpConnection,
-    Queue: AmqpQueue,
-  },
+  amqp,
   constants,
-  /** @type {Engine} */
-  mqtt: {
-    Connection: MqttConnection,
-    Queue: MqttQueue,
-  },
+  KeyRing,
+  memory,
+  mqtt,
+  RpcClient,
+  RpcServer,
+
+  engineSchemes,
+  getEngine,
+  registerEngine,
+  registerMetrics,
+  renderMetrics,
+  unregisterMetrics,
 };
@@ -6,9 +6,32 @@ const amqplib = require('amqplib/callback_api');
 const async = require('async');
 
 const { AmqpConnection } = require('./amqp-connection');
-const { DataTypes, Errors, Events, QueuePattern, Status } = require('./constants');
+const { Backoff, newBackoff } = require('./backoff');
+const { Compressor, newCompressor } = require('./compression');
+const {
+  AmqpQueueType,
+  Compression,
+  DataTypes,
+  Errors,
+  Events,
+  QueuePattern,
+  Status,
+} = require('./constants');
+const { CloseOptions, InFlight, toDrainTimeout } = require('./drain');
+const { Envelope, KeyRing, newEnvelope } = require('./envelope');
+const { Logger, logEvent, toLogger } = require('./logger');
+const { QueueMetrics, QueueMetricsSnapshot } = require('./metrics');
+const { SendBuffer, newSendBuffer } = require('./send-buffer');
+const { MessageIterator, QueueWritable } = require('./stream');
+const { MessageProperties, promisify, toMsgProps, waitConnected } = require('./utils');
 
 const DEF_RECONN = 1000;
+const DEF_RETRY_MULTIPLIER = 2;
+const DEF_RETRY_MAX_DELAY = 60000;
+/** The header that counts how many times the message has been retried by `nack()`. */
+const RETRY_COUNT_HEADER = 'x-retry-count';
+/** Queue arguments that are managed by other options. */
+const DEAD_LETTER_ARGS = ['x-dead-letter-exchange', 'x-dead-letter-routing-key'];
 
 const amqplibConsts = {
   Fanout: 'fanout',
@@ -28,11 +51,32 @@ const amqplibConsts = {
  * @type {Status}
  */
 
+/**
+ * Queue returned event. Reliable senders emit this event when the broker returns an unroutable
+ * message, and `sendMsg()` of the message fails with `Errors.Unroutable`.
+ *
+ * @event AmqpQueue#returned
+ * @type {AmqpReturnedMessage}
+ */
+
+/**
+ * The message that is returned by the broker.
+ *
+ * @typedef {Object} AmqpReturnedMessage
+ * @property {Buffer} payload The payload that was sent to the broker. It is compressed and/or
+ *           sealed if the queue uses `compression` or `envelope`.
+ * @property {MessageProperties} properties
+ * @property {number} replyCode The AMQP reply code such as `312`.
+ * @property {string} replyText The reason such as `NO_ROUTE`.
+ */
+
 /**
  * The message that contains payload and meta data for acknowledgement.
  *
  * @typedef {Object} AmqpMessage
  * @property {Buffer} payload The message payload.
+ * @property {MessageProperties} properties The message properties. Header values from other AMQP
+ *           publishers may not be strings.
  * @property {amqplib.Message} meta The meta data that is used for acknowledgement. You should not
  *           access this property.
  */
@@ -50,6 +94,7 @@ const amqplibConsts = {
  *
  * @class AmqpQueue
  * @fires AmqpQueue#error
+ * @fires AmqpQueue#returned
  * @fires AmqpQueue#status
  */
 class AmqpQueue extends EventEmitter {
@@ -63,9 +108,63 @@ class AmqpQueue extends EventEmitter {
    *   @param {boolean} opts.broadcast `true` for broadcast and `false` for unicast.
    *   @param {number} [opts.reconnectMillis=1000] Time in milliseconds from disconnection to
    *          reconnection.
+   *   @param {number} [opts.reconnectMultiplier=1] The multiplier of the reconnection delay for
+   *          each failed attempt. `1` means using `reconnectMillis` for all attempts.
+   *   @param {number} [opts.reconnectMaxMillis=60000] The maximum reconnection delay.
+   *   @param {number} [opts.reconnectJitter=0] The ratio (0~1) of the reconnection delay to be
+   *          reduced randomly.
+   *   @param {number} [opts.reconnectMaxAttempts=0] The maximum number of reconnection attempts.
+   *          The queue reports `Status.Disconnected` and an error when attempts are exceeded. `0`
+   *          means no limit.
    *   @param {number} [opts.prefetch] REQUIRED when `isRecv=true`. The QoS of the receiver queue.
    *          This value MUST be a positive value between 1 to 65535.
+   *   @param {number} [opts.ackTimeoutMillis=0] (receivers only) The time in milliseconds for
+   *          the handler to acknowledge each message. Messages that are not acknowledged in time
+   *          are NACK-ed (so they are retried or dead-lettered with `maxDeliveries`) with an
+   *          `Errors.AckTimeout` error event. `0` means no timeout.
    *   @param {boolean} [opts.persistent=false] Use persistent delivery mode.
+   *   @param {boolean} [opts.deadLetter=false] (unicast only) Declare the dead-letter queue
+   *          `[name].dlq` for messages that exceed `maxDeliveries`. Senders and receivers MUST use
+   *          the same value because the arguments of the queue are changed.
+   *   @param {number} [opts.maxDeliveries] (unicast only) The maximum delivery count of a message.
+   *          A message that is NACK-ed with this count is moved to the dead-letter queue (or
+   *          dropped without `deadLetter`). Default retries without limit.
+   *   @param {number} [opts.retryDelayMillis] (unicast only) The delay in milliseconds of the
+   *          first retry after NACK. Default requeues NACK-ed messages immediately.
+   *   @param {number} [opts.retryMultiplier=2] The multiplier of the retry delay for following
+   *          retries.
+   *   @param {number} [opts.retryMaxDelayMillis=60000] The maximum retry delay in milliseconds.
+   *   @param {AmqpQueueType} [opts.queueType] (unicast only) The queue type such as quorum queues.
+   *          Default uses the default type of the broker.
+   *   @param {Object.<string, string|number|boolean>} [opts.arguments] (unicast only) Arguments to
+   *          declare the queue such as `x-message-ttl`, `x-max-length`, `x-overflow` and
+   *          `x-max-priority`. Senders and receivers MUST use the same `queueType` and `arguments`
+   *          because the broker rejects declaring the queue with different arguments.
+   *   @param {string} [opts.subscriptionName] (broadcast receivers only) To receive messages with
+   *          the durable queue `[name].sub.[subscriptionName]` instead of a temporary queue, so
+   *          messages that are published while the receiver is closed or reconnecting are kept.
+   *          Receivers with the same subscription name share messages. The pattern is the same as
+   *          `name`.
+   *   @param {number} [opts.subscriptionExpiresMillis] The time in milliseconds that the broker
+   *          deletes the subscription queue after it is unused (the `x-expires` argument). Default
+   *          keeps the queue until it is deleted manually.
+   *   @param {number} [opts.bufferMaxCount] The maximum number of messages that `sendMsg()`
+   *          buffers while the queue is connecting. Buffered messages are sent in order after the
+   *          queue is connected. Default does not buffer messages.
+   *   @param {number} [opts.bufferMaxBytes] The maximum total payload bytes of buffered messages.
+   *   @param {SendBufferOverflow} [opts.bufferOverflow='reject'] The policy when the buffer is full.
+   *   @param {Compression} [opts.compression] Senders compress payloads with the algorithm and
+   *          receivers decompress payloads of all supported algorithms.
+   *   @param {number} [opts.compressionThreshold=1024] The minimum payload size in bytes to be
+   *          compressed.
+   *   @param {number} [opts.maxDecompressedBytes=67108864] Receivers reject messages that are
+   *          larger than this size in bytes after decompression.
+   *   @param {Object} [opts.envelope] To sign and/or encrypt payloads. Receivers verify payloads and
+   *          reject messages that fail verification with an error event.
+   *     @param {KeyRing} opts.envelope.keyRing The keys. Senders use the current key.
+   *     @param {boolean} [opts.envelope.sign=true] To sign payloads with HMAC-SHA256.
+   *     @param {boolean} [opts.envelope.encrypt=true] To encrypt payloads with AES-256-GCM.
+   *   @param {Logger} [opts.logger] The structured logger. Default does not log.
    * @param {AmqpConnection} conn The AMQP connection.
    * @throws {Error} Wrong arguments.
    */
@@ -96,9 +195,87 @@ class AmqpQueue extends EventEmitter {
     ) {
       throw Error('`reconnectMillis` must be a positive integer');
     }
+    if (
+      opts.ackTimeoutMillis !== undefined &&
+      (!Number.isInteger(opts.ackTimeoutMillis) || opts.ackTimeoutMillis < 0)
+    ) {
+      throw Error('`ackTimeoutMillis` must be a non-negative integer');
+    }
     if (opts.persistent !== undefined && typeof opts.persistent !== DataTypes.Boolean) {
       throw Error('`persistent` is not boolean');
     }
+    if (opts.deadLetter !== undefined && typeof opts.deadLetter !== DataTypes.Boolean) {
+      throw Error('`deadLetter` is not boolean');
+    } else if (
+      opts.maxDeliveries !== undefined &&
+      (!Number.isInteger(opts.maxDeliveries) || opts.maxDeliveries <= 0)
+    ) {
+      throw Error('`maxDeliveries` must be a positive integer');
+    } else if (
+      opts.retryDelayMillis !== undefined &&
+      (!Number.isInteger(opts.retryDelayMillis) || opts.retryDelayMillis <= 0)
+    ) {
+      throw Error('`retryDelayMillis` must be a positive integer');
+    } else if (
+      opts.retryMultiplier !== undefined &&
+      (typeof opts.retryMultiplier !== DataTypes.Number || !(opts.retryMultiplier >= 1))
+    ) {
+      throw Error('`retryMultiplier` must be a number not less than 1');
+    } else if (
+      opts.retryMaxDelayMillis !== undefined &&
+      (!Number.isInteger(opts.retryMaxDelayMillis) || opts.retryMaxDelayMillis <= 0)
+    ) {
+      throw Error('`retryMaxDelayMillis` must be a positive integer');
+    } else if (
+      opts.broadcast &&
+      (opts.deadLetter || opts.maxDeliveries !== undefined || opts.retryDelayMillis !== undefined)
+    ) {
+      throw Error('dead-letter and retry options are only for unicast queues');
+    }
+    if (opts.queueType !== undefined && !Object.values(AmqpQueueType).includes(opts.queueType)) {
+      throw Error(`\`queueType\` must be one of ${Object.values(AmqpQueueType).join(', ')}`);
+    } else if (
+      opts.arguments !== undefined &&
+      (!opts.arguments ||
+        typeof opts.arguments !== DataTypes.Object ||
+        Array.isArray(opts.arguments))
+    ) {
+      throw Error('`arguments` is not an object');
+    } else if (opts.broadcast && (opts.queueType !== undefined || opts.arguments !== undefined)) {
+      throw Error('`queueType` and `arguments` are only for unicast queues');
+    }
+    if (
+      opts.subscriptionName !== undefined &&
+      (typeof opts.subscriptionName !== DataTypes.String ||
+        !QueuePattern.test(opts.subscriptionName))
+    ) {
+      throw Error('`subscriptionName` is not match pattern `^[a-z0-9_-]+([\\.]{1}[a-z0-9_-]+)*$`');
+    } else if (opts.subscriptionName !== undefined && !(opts.broadcast && opts.isRecv)) {
+      throw Error('`subscriptionName` is only for broadcast receivers');
+    } else if (
+      opts.subscriptionExpiresMillis !== undefined &&
+      (!Number.isInteger(opts.subscriptionExpiresMillis) || opts.subscriptionExpiresMillis <= 0)
+    ) {
+      throw Error('`subscriptionExpiresMillis` must be a positive integer');
+    } else if (opts.subscriptionExpiresMillis !== undefined && !opts.subscriptionName) {
+      throw Error('`subscriptionExpiresMillis` requires `subscriptionName`');
+    }
+    for (const key in opts.arguments || {}) {
+      const value = opts.arguments[key];
+      if (!key.startsWith('x-')) {
+        throw Error(`\`arguments.${key}\` is not an \`x-\` argument`);
+      } else if (
+        typeof value !== DataTypes.String &&
+        typeof value !== DataTypes.Number &&
+        typeof value !== DataTypes.Boolean
+      ) {
+        throw Error(`\`arguments.${key}\` is not a string, number or boolean`);
+      } else if (key === 'x-queue-type' && opts.queueType !== undefined) {
+        throw Error('use `queueType` or `arguments.x-queue-type`, not both');
+      } else if (DEAD_LETTER_ARGS.includes(key) && opts.deadLetter) {
+        throw Error(`\`arguments.${key}\` is managed by \`deadLetter\``);
+      }
+    }
 
     this.#opts = {
       name: opts.name,
@@ -108,14 +285,37 @@ class AmqpQueue extends EventEmitter {
       reconnectMillis: opts.reconnectMillis || DEF_RECONN,
       prefetch: opts.prefetch,
       persistent: opts.persistent || false,
+      deadLetter: opts.deadLetter || false,
+      maxDeliveries: opts.maxDeliveries,
+      retryDelayMillis: opts.retryDelayMillis,
+      retryMultiplier: opts.retryMultiplier || DEF_RETRY_MULTIPLIER,
+      retryMaxDelayMillis: opts.retryMaxDelayMillis || DEF_RETRY_MAX_DELAY,
+      queueType: opts.queueType,
+      arguments: { ...opts.arguments },
+      subscriptionName: opts.subscriptionName,
+      subscriptionExpiresMillis: opts.subscriptionExpiresMillis,
     };
     this.#status = Status.Closed;
     this.#conn = conn;
     this.#connProcessing = false;
+    this.#backoff = newBackoff(opts, this.#opts.reconnectMillis);
     this.#channel = null;
+    this.#publishing = [];
+    this.#consumerTag = null;
+    this.#inFlight = new InFlight(opts.ackTimeoutMillis, this.#onAckTimeout.bind(this));
+    this.#retryQueues = new Set();
     this.#msgHandler = null;
+    this.#metrics = new QueueMetrics();
+    this.#logger = toLogger(opts.logger);
+    this.#sendBuffer = newSendBuffer(
+      opts,
+      this.#innerSendMsg.bind(this),
+      () => this.#status === Status.Connected
+    );
+    this.#compressor = newCompressor(opts);
+    this.#envelope = newEnvelope(opts);
 
-    this.#conn.on(Events.Status, this.#onConnStatusChanged.bind(this));
+    this.#onConnStatus = this.#onConnStatusChanged.bind(this);
   }
 
   /**
@@ -145,6 +345,32 @@ class AmqpQueue extends EventEmitter {
     return this.#status;
   }
 
+  /**
+   * To get the metrics snapshot of the queue.
+   *
+   * @returns {QueueMetricsSnapshot}
+   */
+  metrics() {
+    return this.#metrics.snapshot();
+  }
+
+  /**
+   * To log events with the logger before emitting them. Error events without listeners are only
+   * logged, so errors of received messages do not throw from the broker callback.
+   *
+   * @private
+   * @param {string} event
+   * @param {...*} args
+   * @returns {boolean}
+   */
+  emit(event, ...args) {
+    logEvent(this.#logger, { queue: this.#opts.name }, event, args);
+    if (event === Events.Error && this.listenerCount(Events.Error) === 0) {
+      return false;
+    }
+    return super.emit(event, ...args);
+  }
+
   /**
    * Set the message handler.
    *
@@ -159,69 +385,127 @@ class AmqpQueue extends EventEmitter {
     this.#msgHandler = handler;
   }
 
+  /**
+   * To receive messages with `for await`. This replaces the message handler, so call this before
+   * `connect()`. Call `ack()` or `nack()` for each message.
+   *
+   * @returns {MessageIterator}
+   * @throws {Error} The queue is not a receiver.
+   */
+  messages() {
+    return new MessageIterator(this);
+  }
+
   /**
    * To connect to the message queue. The `AmqpQueue` will report status with Status.
    *
-   * @throws {Error} Wrong usage.
+   * The returned Promise is resolved when the queue reports `Status.Connected` for the first time,
+   * or is rejected with `Errors.ConnectTimeout` when it does not connect in time. The queue keeps
+   * retrying in the background after the timeout.
+   *
+   * @param {number} [timeoutMillis=0] Time in milliseconds to wait for the connected status. `0`
+   *        means waiting without time limit.
+   * @returns {Promise<void>}
+   * @throws {Error} Wrong arguments or usage.
    */
-  connect() {
+  connect(timeoutMillis) {
     if (this.#opts.isRecv && !this.#msgHandler) {
       throw Error(Errors.NoMsgHandler);
+    } else if (
+      timeoutMillis !== undefined &&
+      (!Number.isInteger(timeoutMillis) || timeoutMillis < 0)
+    ) {
+      throw Error('`timeoutMillis` is not a positive integer');
     }
 
-    if (this.#status !== Status.Closed && this.#status !== Status.Closing) {
-      return;
+    const p = waitConnected(this, timeoutMillis || 0);
+    if (
+      this.#status !== Status.Closed &&
+      this.#status !== Status.Closing &&
+      this.#status !== Status.Disconnected
+    ) {
+      return p;
     }
+    this.#backoff.reset();
 
+    // Listen to the connection only while the queue is in use, so closed queues can be released.
+    this.#conn.removeListener(Events.Status, this.#onConnStatus);
+    this.#conn.on(Events.Status, this.#onConnStatus);
     this.#status = Status.Connecting;
     this.emit(Events.Status, Status.Connecting);
 
     this.#innerConnect();
+    return p;
   }
 
   /**
-   * To close the queue. You can use a callback function to get the result or listen events.
+   * To close the queue. You can use a callback function or the returned Promise to get the result
+   * or listen events.
+   *
+   * With `drainTimeoutMillis`, the receiver cancels the consumer and waits for in-flight messages
+   * to be acknowledged before closing the channel. Messages that are not acknowledged before the
+   * deadline are requeued.
    *
+   * @param {CloseOptions} [opts]
    * @param {function} [callback]
    *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is not a function.
+   * @throws {Error} Wrong arguments.
    */
-  close(callback) {
+  close(opts, callback) {
+    if (typeof opts === DataTypes.Function) {
+      callback = opts;
+      opts = undefined;
+    }
+    const drainTimeoutMillis = toDrainTimeout(opts);
     if (typeof callback !== DataTypes.Function) {
-      callback = null;
+      return promisify((cb) => {
+        this.close(opts, cb);
+      });
     }
 
+    if (this.#sendBuffer) {
+      this.#sendBuffer.clear(Error(Errors.NotConnected));
+    }
+    this.#conn.removeListener(Events.Status, this.#onConnStatus);
+
     if (this.#status === Status.Closing || this.#status === Status.Closed) {
-      if (callback) {
-        return void process.nextTick(() => {
-          callback(null);
-        });
-      }
-      return;
+      return void process.nextTick(() => {
+        callback(null);
+      });
     } else if (!this.#channel) {
+      this.#clearInFlight();
       this.#status = Status.Closed;
       this.emit(Events.Status, Status.Closed);
-      if (callback) {
-        return void process.nextTick(() => {
-          callback(null);
-        });
-      }
+      return void process.nextTick(() => {
+        callback(null);
+      });
     }
 
     this.#status = Status.Closing;
     this.emit(Events.Status, Status.Closing);
     const self = this;
-    this.#channel.close((err) => {
-      if (self.#channel) {
-        self.#channel.removeAllListeners();
-        self.#channel = null;
+    this.#drain(drainTimeoutMillis, () => {
+      self.#clearInFlight();
+      const channel = self.#channel;
+      if (!channel) {
+        // The channel was closed while draining.
+        self.#status = Status.Closed;
+        self.emit(Events.Status, Status.Closed);
+        return void callback(null);
       }
-      self.#status = Status.Closed;
-      self.emit(Events.Status, Status.Closed);
-      if (callback) {
-        return void process.nextTick(() => {
-          callback(err);
+
+      // Detach the channel so that late acknowledgements of handlers are ignored.
+      channel.removeAllListeners();
+      self.#channel = null;
+      self.#consumerTag = null;
+      channel.close((err) => {
+        self.#status = Status.Closed;
+        self.emit(Events.Status, Status.Closed);
+        process.nextTick(() => {
+          callback(err || null);
         });
-      }
+      });
     });
   }
 
@@ -229,16 +513,40 @@ class AmqpQueue extends EventEmitter {
    * To send a message (for senders only).
    *
    * @param {Buffer} payload The raw data to be sent.
-   * @param {function} callback
+   * @param {MessageProperties} [props] The message properties.
+   * @param {function} [callback] Omit this to get a Promise.
    *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is omitted.
    * @throws {Error} Wrong arguments.
    */
-  sendMsg(payload, callback) {
+  sendMsg(payload, props, callback) {
+    if (typeof props === DataTypes.Function) {
+      callback = props;
+      props = undefined;
+    }
+
     if (!(payload instanceof Buffer)) {
       throw Error('`payload` is not a Buffer');
+    }
+    props = toMsgProps(props);
+    if (callback === undefined) {
+      return promisify((cb) => {
+        this.sendMsg(payload, props, cb);
+      });
     } else if (typeof callback !== DataTypes.Function) {
       throw Error('`callback` is not a function');
-    } else if (this.#status !== Status.Connected) {
+    }
+
+    const metrics = this.#metrics;
+    const done = callback;
+    callback = function (err) {
+      metrics.sent(err);
+      done(err);
+    };
+    if (
+      this.#status !== Status.Connected &&
+      !(this.#sendBuffer && this.#status === Status.Connecting)
+    ) {
       return void process.nextTick(() => {
         callback(Error(Errors.NotConnected));
       });
@@ -249,48 +557,67 @@ class AmqpQueue extends EventEmitter {
       });
     }
 
-    const exchange = this.#opts.broadcast ? this.#opts.name : '';
-    const routingKey = this.#opts.broadcast ? '' : this.#opts.name;
-    let opts = {
-      persistent: this.#opts.persistent,
-    };
-    if (this.#opts.reliable) {
-      opts = {
-        mandatory: true,
-      };
-      this.#channel.publish(exchange, routingKey, payload, opts, (err, ok) => {
-        if (err) {
-          return void callback(err);
+    if (this.#compressor || this.#envelope) {
+      try {
+        if (this.#compressor) {
+          ({ payload, props } = this.#compressor.compress(payload, props));
         }
-        callback(null);
-      });
-    } else {
-      this.#channel.publish(exchange, routingKey, payload, opts);
-      // Use `setTimeout` instead of `nextTick` because nextTick may causes too much events to hang
-      // AMQP packets transmission.
-      setTimeout(() => {
-        callback(null);
-      }, 1);
+        if (this.#envelope) {
+          payload = this.#envelope.seal(payload);
+        }
+      } catch (err) {
+        return void process.nextTick(() => {
+          callback(err);
+        });
+      }
+    }
+    if (this.#sendBuffer && (this.#status !== Status.Connected || this.#sendBuffer.length() > 0)) {
+      return void this.#sendBuffer.push(payload, props, callback);
     }
+    this.#innerSendMsg(payload, props, callback);
+  }
+
+  /**
+   * To get a `Writable` stream (object mode) that sends written chunks (for senders only). Chunks
+   * are Buffers, strings or `{ payload, props }` objects.
+   *
+   * @param {Object} [opts]
+   *   @param {number} [opts.highWaterMark=16] The number of messages to buffer in the stream.
+   * @returns {QueueWritable}
+   * @throws {Error} Wrong arguments or the queue is not a sender.
+   */
+  writable(opts) {
+    return new QueueWritable(this, opts);
   }
 
   /**
    * Use this if the message is processed successfully.
    *
    * @param {AmqpMessage} msg
-   * @param {function} callback
+   * @param {function} [callback] Omit this to get a Promise.
    *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is omitted.
+   * @throws {Error} Wrong arguments.
    */
   ack(msg, callback) {
     if (!msg || typeof msg !== DataTypes.Object || Array.isArray(msg)) {
       throw Error('`msg` is not an object');
+    } else if (callback === undefined) {
+      return promisify((cb) => {
+        this.ack(msg, cb);
+      });
     } else if (typeof callback !== DataTypes.Function) {
       throw Error('`callback` is not a function');
     }
 
-    const channel = this.#channel;
-    if (channel) {
-      channel.ack(msg.meta);
+    // Skip messages that have been settled, such as NACK-ed by the acknowledgement timeout, to avoid
+    // the channel error of unknown delivery tags.
+    if (this.#inFlight.delete(msg)) {
+      this.#metrics.settled(msg, true);
+      const channel = this.#channel;
+      if (channel) {
+        channel.ack(msg.meta);
+      }
     }
     process.nextTick(() => {
       callback(null);
@@ -300,24 +627,106 @@ class AmqpQueue extends EventEmitter {
   /**
    * To requeue the message and the broker will send the message in the future.
    *
+   * With `maxDeliveries` or `retryDelayMillis`, the message is published again with the
+   * `x-retry-count` header (to the delayed retry queue `[name].retry.[delay]` if there is a delay)
+   * instead of requeueing, and is dead-lettered when it reaches the maximum delivery count.
+   *
    * @param {AmqpMessage} msg
-   * @param {function} callback
+   * @param {function} [callback] Omit this to get a Promise.
    *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is omitted.
+   * @throws {Error} Wrong arguments.
    */
   nack(msg, callback) {
     if (!msg || typeof msg !== DataTypes.Object || Array.isArray(msg)) {
       throw Error('`msg` is not an object');
+    } else if (callback === undefined) {
+      return promisify((cb) => {
+        this.nack(msg, cb);
+      });
     } else if (typeof callback !== DataTypes.Function) {
       throw Error('`callback` is not a function');
     }
 
+    if (!this.#inFlight.delete(msg)) {
+      return void process.nextTick(() => {
+        callback(null);
+      });
+    }
+    this.#metrics.settled(msg, false);
     const channel = this.#channel;
-    if (channel) {
-      channel.nack(msg.meta);
+    if (
+      !channel ||
+      (this.#opts.maxDeliveries === undefined && this.#opts.retryDelayMillis === undefined)
+    ) {
+      if (channel) {
+        channel.nack(msg.meta);
+      }
+      return void process.nextTick(() => {
+        callback(null);
+      });
+    }
+
+    const retries = retryCount(msg.meta);
+    if (this.#opts.maxDeliveries !== undefined && retries + 1 >= this.#opts.maxDeliveries) {
+      // Reject without requeue to move the message to the dead-letter queue.
+      channel.nack(msg.meta, false, false);
+      return void process.nextTick(() => {
+        callback(null);
+      });
+    }
+    this.#retry(channel, msg.meta, retries, callback);
+  }
+
+  /**
+   * To send a message to the broker.
+   *
+   * @param {Buffer} payload The raw data to be sent.
+   * @param {MessageProperties} props The message properties.
+   * @param {function} callback
+   *   @param {?Error} callback.err
+   */
+  #innerSendMsg(payload, props, callback) {
+    const exchange = this.#opts.broadcast ? this.#opts.name : '';
+    const routingKey = this.#opts.broadcast ? '' : this.#opts.name;
+    const opts = {
+      persistent: this.#opts.persistent,
+      contentType: props.contentType,
+      contentEncoding: props.contentEncoding,
+      messageId: props.messageId,
+      timestamp: props.timestamp ? Math.floor(props.timestamp.getTime() / 1000) : undefined,
+      replyTo: props.replyTo,
+      correlationId: props.correlationId,
+      priority: props.priority,
+      expiration: props.expiration === undefined ? undefined : `${props.expiration}`,
+      headers: props.headers,
+    };
+    if (this.#opts.reliable) {
+      opts.mandatory = true;
+      // The broker sends `basic.return` before the confirmation of the same message.
+      const publishing = this.#publishing;
+      const pending = { payload, returned: false };
+      publishing.push(pending);
+      this.#channel.publish(exchange, routingKey, payload, opts, (err, ok) => {
+        const i = publishing.indexOf(pending);
+        if (i >= 0) {
+          publishing.splice(i, 1);
+        }
+        if (err) {
+          return void callback(err);
+        } else if (pending.returned) {
+          return void callback(Error(Errors.Unroutable));
+        }
+        callback(null);
+      });
+    } else {
+      this.#channel.publish(exchange, routingKey, payload, opts);
+      // Use `setTimeout` instead of `nextTick` because nextTick may causes too much events to hang
+      // AMQP packets transmission.
+      setTimeout(() => {
+        callback(null);
+      }, 1);
     }
-    process.nextTick(() => {
-      callback(null);
-    });
   }
 
   #innerConnect() {
@@ -328,18 +737,15 @@ class AmqpQueue extends EventEmitter {
 
     const self = this;
 
+    // Wait for the connection with backoff and count attempts.
     if (this.#conn.status() !== Status.Connected) {
       this.#connProcessing = false;
-      return void setTimeout(() => {
-        self.#innerConnect();
-      }, this.#opts.reconnectMillis);
+      return void this.#reconnect();
     }
     const rawConn = this.#conn.getRawConnection();
     if (!rawConn) {
       this.#connProcessing = false;
-      return void setTimeout(() => {
-        self.#innerConnect();
-      }, this.#opts.reconnectMillis);
+      return void this.#reconnect();
     }
 
     let channel;
@@ -380,8 +786,12 @@ class AmqpQueue extends EventEmitter {
           }
 
           channel.prefetch(self.#opts.prefetch);
-          channel.consume(qname, self.#innerOnMessage.bind(self), {}, (err) => {
-            cb(err);
+          channel.consume(qname, self.#innerOnMessage.bind(self), {}, (err, ok) => {
+            if (err) {
+              return void cb(err);
+            }
+            self.#consumerTag = ok.consumerTag;
+            cb(null);
           });
         },
       ],
@@ -389,9 +799,7 @@ class AmqpQueue extends EventEmitter {
         self.#connProcessing = false;
         if (err) {
           self.emit(Events.Error, err);
-          return void setTimeout(() => {
-            self.#innerConnect();
-          }, self.#opts.reconnectMillis);
+          return void self.#reconnect();
         }
 
         channel.on('close', self.#onClose.bind(self));
@@ -399,12 +807,43 @@ class AmqpQueue extends EventEmitter {
         channel.on('error', self.#onError.bind(self));
         channel.on('return', self.#onReturn.bind(self));
         self.#channel = channel;
+        self.#publishing = [];
+        self.#retryQueues.clear();
+        self.#backoff.reset();
+        self.#metrics.connected();
         self.#status = Status.Connected;
         self.emit(Events.Status, Status.Connected);
+        if (self.#sendBuffer) {
+          self.#sendBuffer.flush();
+        }
       }
     );
   }
 
+  /**
+   * To schedule the next connection attempt, or to stop with `Status.Disconnected` if there are no
+   * more attempts.
+   */
+  #reconnect() {
+    const delay = this.#backoff.next();
+    if (delay === null) {
+      if (this.#sendBuffer) {
+        this.#sendBuffer.clear(Error(Errors.ReconnectLimit));
+      }
+      this.#status = Status.Disconnected;
+      this.emit(Events.Status, Status.Disconnected);
+      return void this.emit(Events.Error, Error(Errors.ReconnectLimit));
+    }
+
+    this.#metrics.reconnect();
+    this.#logger.debug({ queue: this.#opts.name, delayMillis: delay }, 'reconnect scheduled');
+
+    const self = this;
+    setTimeout(() => {
+      self.#innerConnect();
+    }, delay);
+  }
+
   /**
    * Message handler. `this` is the `AmqpQueue` instance.
    *
@@ -413,20 +852,127 @@ class AmqpQueue extends EventEmitter {
   #innerOnMessage(msg) {
     const handler = this.#msgHandler;
     if (handler) {
-      handler(this, {
+      const message = {
         payload: msg.content,
+        properties: fromAmqpProperties(msg.properties),
         meta: msg,
-      });
+      };
+      if (this.#envelope || this.#compressor) {
+        try {
+          if (this.#envelope) {
+            this.#envelope.open(message);
+          }
+          if (this.#compressor) {
+            this.#compressor.decompress(message);
+          }
+        } catch (err) {
+          // Reject without requeue to discard or dead-letter forged or corrupted messages instead
+          // of receiving them again and again.
+          if (this.#channel) {
+            this.#channel.nack(msg, false, false);
+          }
+          return void this.emit(Events.Error, err);
+        }
+      }
+      this.#metrics.received(message);
+      this.#inFlight.add(message);
+      handler(this, message);
     }
   }
 
+  /**
+   * To publish the NACK-ed message again to retry and then ACK the original message.
+   *
+   * @param {amqplib.Channel} channel
+   * @param {amqplib.Message} meta The raw message.
+   * @param {number} retries The retry count of the message.
+   * @param {function} callback
+   *   @param {?Error} callback.err
+   */
+  #retry(channel, meta, retries, callback) {
+    const self = this;
+
+    let qname = this.#opts.name;
+    async.waterfall(
+      [
+        // Declare the retry queue that sends messages back to the queue after the delay.
+        function (cb) {
+          if (self.#opts.retryDelayMillis === undefined) {
+            return void cb(null);
+          }
+
+          const delay = Math.min(
+            Math.round(self.#opts.retryDelayMillis * Math.pow(self.#opts.retryMultiplier, retries)),
+            self.#opts.retryMaxDelayMillis
+          );
+          qname = `${self.#opts.name}.retry.${delay}`;
+          if (self.#retryQueues.has(qname)) {
+            return void cb(null);
+          }
+          const opts = {
+            durable: true,
+            arguments: {
+              'x-message-ttl': delay,
+              'x-dead-letter-exchange': '',
+              'x-dead-letter-routing-key': self.#opts.name,
+            },
+          };
+          channel.assertQueue(qname, opts, (err) => {
+            if (!err) {
+              self.#retryQueues.add(qname);
+            }
+            cb(err);
+          });
+        },
+        function (cb) {
+          const opts = {
+            ...meta.properties,
+            headers: { ...meta.properties.headers, [RETRY_COUNT_HEADER]: retries + 1 },
+          };
+          if (!self.#opts.reliable) {
+            channel.sendToQueue(qname, meta.content, opts);
+            return void process.nextTick(() => {
+              cb(null);
+            });
+          }
+          channel.sendToQueue(qname, meta.content, opts, (err) => {
+            cb(err);
+          });
+        },
+      ],
+      (err) => {
+        if (err) {
+          self.#logger.warn({ queue: self.#opts.name, err }, 'retry failed');
+          self.emit(Events.Error, err);
+        }
+        if (self.#channel !== channel) {
+          // The broker requeues unacknowledged messages of the closed channel.
+          return void callback(err || null);
+        }
+        try {
+          if (err) {
+            // Requeue to retry later if it is failed to publish.
+            channel.nack(meta);
+          } else {
+            channel.ack(meta);
+          }
+        } catch (e) {
+          // The channel is closed by the failure (such as declaring the retry queue with different
+          // arguments) before the close event, and the broker requeues the message.
+          return void callback(err || e);
+        }
+        callback(err || null);
+      }
+    );
+  }
+
   /**
    * To create resouces for the broadcast queue.
    *
    * @param {amqplib.Channel} channel
    * @param {function} callback
    *   @param {?Error} callback.err
-   *   @param {string} callback.qname The name of the temporary queue.
+   *   @param {string} callback.qname The name of the temporary or subscription queue.
    */
   #createBroadcast(channel, callback) {
     const self = this;
@@ -440,18 +986,27 @@ class AmqpQueue extends EventEmitter {
             cb(err);
           });
         },
-        // Declare a temporary queue and bind the queue name to the exchange.
+        // Declare a temporary or subscription queue and bind the queue name to the exchange.
         function (cb) {
           if (!self.#opts.isRecv) {
             return void cb(null, '');
           }
 
-          channel.assertQueue('', { exclusive: true }, (err, q) => {
+          let qname = '';
+          let opts = { exclusive: true };
+          if (self.#opts.subscriptionName) {
+            qname = `${self.#opts.name}.sub.${self.#opts.subscriptionName}`;
+            opts = { durable: true };
+            if (self.#opts.subscriptionExpiresMillis !== undefined) {
+              opts.arguments = { 'x-expires': self.#opts.subscriptionExpiresMillis };
+            }
+          }
+          channel.assertQueue(qname, opts, (err, q) => {
             if (err) {
               return void cb(err);
             }
             channel.bindQueue(q.queue, self.#opts.name, '', {}, (err) => {
-              cb(err, q.name);
+              cb(err, q.queue);
             });
           });
         },
@@ -470,8 +1025,30 @@ class AmqpQueue extends EventEmitter {
    *   @param {?Error} callback.err
    */
   #createUnicast(channel, callback) {
-    channel.assertQueue(this.#opts.name, { durable: true }, (err) => {
-      callback(err);
+    const opts = {
+      durable: true,
+      arguments: { ...this.#opts.arguments },
+    };
+    if (this.#opts.queueType !== undefined) {
+      opts.arguments['x-queue-type'] = this.#opts.queueType;
+    }
+    if (!this.#opts.deadLetter) {
+      return void channel.assertQueue(this.#opts.name, opts, (err) => {
+        callback(err);
+      });
+    }
+
+    const dlqName = `${this.#opts.name}.dlq`;
+    opts.arguments['x-dead-letter-exchange'] = '';
+    opts.arguments['x-dead-letter-routing-key'] = dlqName;
+    const self = this;
+    channel.assertQueue(dlqName, { durable: true }, (err) => {
+      if (err) {
+        return void callback(err);
+      }
+      channel.assertQueue(self.#opts.name, opts, (err) => {
+        callback(err);
+      });
     });
   }
 
@@ -495,7 +1072,59 @@ class AmqpQueue extends EventEmitter {
     }
   }
 
+  /**
+   * To NACK the message that is not acknowledged in time and report the error with the queue name.
+   *
+   * @param {Object} msg
+   */
+  #onAckTimeout(msg) {
+    this.nack(msg, () => {});
+    const err = Error(Errors.AckTimeout);
+    err.queue = this.#opts.name;
+    this.emit(Events.Error, err);
+  }
+
+  /**
+   * To cancel the consumer and wait for in-flight messages to be acknowledged. Messages that are
+   * not acknowledged before the deadline are requeued.
+   *
+   * @param {number} timeoutMillis `0` to skip draining.
+   * @param {function} callback
+   */
+  #drain(timeoutMillis, callback) {
+    if (!timeoutMillis || !this.#consumerTag) {
+      return void callback();
+    }
+
+    const self = this;
+    this.#channel.cancel(this.#consumerTag, () => {
+      self.#inFlight.wait(timeoutMillis, (remains) => {
+        for (const msg of remains) {
+          self.#metrics.settled(msg, false);
+          if (self.#channel) {
+            self.#channel.nack(msg.meta);
+          }
+        }
+        if (remains.length > 0) {
+          self.#logger.warn({ queue: self.#opts.name, count: remains.length }, 'drain timeout');
+        }
+        callback();
+      });
+    });
+  }
+
+  /**
+   * To forget in-flight messages that cannot be acknowledged anymore.
+   */
+  #clearInFlight() {
+    this.#metrics.clearInFlight();
+    this.#inFlight.clear();
+  }
+
   #onClose() {
+    // Messages of the closed channel cannot be acknowledged.
+    this.#clearInFlight();
+    this.#consumerTag = null;
     if (this.#channel) {
       this.#channel.removeAllListeners();
       this.#channel = null;
@@ -504,39 +1133,154 @@ class AmqpQueue extends EventEmitter {
     if (
       this.#status === Status.Closing ||
       this.#status === Status.Closed ||
-      this.#status === Status.Connecting
+      this.#status === Status.Connecting ||
+      this.#status === Status.Disconnected
     ) {
       return;
     }
     this.#status = Status.Connecting;
     this.emit(Events.Status, Status.Connecting);
-    const self = this;
-    setTimeout(() => {
-      self.#innerConnect();
-    }, this.#opts.reconnectMillis);
+    this.#reconnect();
   }
 
   #onDrain() {}
 
-  #onError(_err) {}
+  #onError(err) {
+    this.#logger.warn({ queue: this.#opts.name, err }, 'channel error');
+  }
 
-  #onReturn(_msg) {}
+  /**
+   * To fail the publish of the returned message and emit the returned event.
+   *
+   * @param {amqplib.Message} msg The returned message.
+   */
+  #onReturn(msg) {
+    // Messages of the queue have the same routing, so the oldest one with the same content is the
+    // returned message.
+    const pending = this.#publishing.find((p) => !p.returned && p.payload.equals(msg.content));
+    if (pending) {
+      pending.returned = true;
+    }
+    const { replyCode, replyText } = msg.fields;
+    this.#logger.warn({ queue: this.#opts.name, replyCode, replyText }, 'message returned');
+    this.emit(Events.Returned, {
+      payload: msg.content,
+      properties: fromAmqpProperties(msg.properties),
+      replyCode,
+      replyText,
+    });
+  }
 
   #opts;
   /** @type {Status} */
   #status;
   /** @type {AmqpConnection} */
   #conn;
+  /**
+   * The listener of connection status events. It is removed when the queue is closed.
+   *
+   * @type {function}
+   */
+  #onConnStatus;
   /**
    * Processing `#innerConnect`.
    *
    * @type {boolean}
    */
   #connProcessing;
+  /** @type {Backoff} */
+  #backoff;
   /** @type {amqplib.Channel} */
   #channel;
+  /**
+   * Reliable publishes of the current channel that are not confirmed yet.
+   *
+   * @type {{ payload: Buffer, returned: boolean }[]}
+   */
+  #publishing;
+  /**
+   * The consumer tag of the receiver.
+   *
+   * @type {?string}
+   */
+  #consumerTag;
+  /** @type {InFlight} */
+  #inFlight;
+  /**
+   * Retry queues that have been declared with the current channel.
+   *
+   * @type {Set<string>}
+   */
+  #retryQueues;
   /** @type {AmqpQueueMsgHandler} */
   #msgHandler;
+  /** @type {?SendBuffer} */
+  #sendBuffer;
+  /** @type {?Compressor} */
+  #compressor;
+  /** @type {?Envelope} */
+  #envelope;
+  /** @type {QueueMetrics} */
+  #metrics;
+  /** @type {Logger} */
+  #logger;
+}
+
+/**
+ * To get how many times the message has been retried. A message that is redelivered by the broker
+ * (the consumer was closed without acknowledgement) counts as one more retry.
+ *
+ * @param {amqplib.Message} meta The raw message.
+ * @returns {number}
+ */
+function retryCount(meta) {
+  const headers = meta.properties.headers || {};
+  let count = Number.isInteger(headers[RETRY_COUNT_HEADER]) ? headers[RETRY_COUNT_HEADER] : 0;
+  if (meta.fields.redelivered) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * To convert AMQP message properties to `MessageProperties`.
+ *
+ * @param {Object} properties The properties of `amqplib.Message`.
+ * @returns {MessageProperties}
+ */
+function fromAmqpProperties(properties) {
+  const props = {};
+  if (!properties) {
+    return props;
+  }
+  if (typeof properties.contentType === DataTypes.String) {
+    props.contentType = properties.contentType;
+  }
+  if (typeof properties.contentEncoding === DataTypes.String) {
+    props.contentEncoding = properties.contentEncoding;
+  }
+  if (typeof properties.messageId === DataTypes.String) {
+    props.messageId = properties.messageId;
+  }
+  if (Number.isInteger(properties.timestamp)) {
+    props.timestamp = new Date(properties.timestamp * 1000);
+  }
+  if (typeof properties.replyTo === DataTypes.String) {
+    props.replyTo = properties.replyTo;
+  }
+  if (typeof properties.correlationId === DataTypes.String) {
+    props.correlationId = properties.correlationId;
+  }
+  if (Number.isInteger(properties.priority)) {
+    props.priority = properties.priority;
+  }
+  if (typeof properties.expiration === DataTypes.String && /^\d+$/.test(properties.expiration)) {
+    props.expiration = parseInt(properties.expiration);
+  }
+  if (properties.headers && Object.keys(properties.headers).length > 0) {
+    props.headers = { ...properties.headers };
+  }
+  return props;
 }
 
 module.exports = {
@@ -0,0 +1,111 @@
+'use strict';
+
+const { DataTypes } = require('./constants');
+
+const DEF_MULTIPLIER = 1;
+const DEF_MAX_MILLIS = 60000;
+const DEF_JITTER = 0;
+const DEF_MAX_ATTEMPTS = 0;
+
+/**
+ * Calculates reconnection delays with exponential backoff and jitter.
+ *
+ * @private
+ * @class Backoff
+ */
+class Backoff {
+  /**
+   * @constructor
+   * @param {Object} opts The backoff options.
+   *   @param {number} opts.initialMillis The delay of the first attempt.
+   *   @param {number} opts.multiplier The multiplier of the delay for following attempts.
+   *   @param {number} opts.maxMillis The maximum delay.
+   *   @param {number} opts.jitter The ratio (0~1) of the delay to be reduced randomly.
+   *   @param {number} opts.maxAttempts The maximum number of attempts. `0` means no limit.
+   */
+  constructor(opts) {
+    this.#opts = opts;
+    this.#attempts = 0;
+  }
+
+  /**
+   * To get the delay of the next attempt and count the attempt.
+   *
+   * @returns {?number} The delay in milliseconds or `null` if there are no more attempts.
+   */
+  next() {
+    const { initialMillis, multiplier, maxMillis, jitter, maxAttempts } = this.#opts;
+    if (maxAttempts > 0 && this.#attempts >= maxAttempts) {
+      return null;
+    }
+
+    const delay = Math.min(initialMillis * Math.pow(multiplier, this.#attempts), maxMillis);
+    this.#attempts++;
+    return Math.round(delay * (1 - jitter * Math.random()));
+  }
+
+  /**
+   * To reset the attempt count after the connection is established.
+   */
+  reset() {
+    this.#attempts = 0;
+  }
+
+  #opts;
+  /** @type {number} */
+  #attempts;
+}
+
+/**
+ * To create a backoff from connection/queue options.
+ *
+ * @private
+ * @param {Object} opts The connection/queue options.
+ *   @param {number} [opts.reconnectMultiplier=1] The multiplier of the delay for following
+ *          attempts. `1` means fixed delays.
+ *   @param {number} [opts.reconnectMaxMillis=60000] The maximum delay in milliseconds. Default is
+ *          not less than `initialMillis`.
+ *   @param {number} [opts.reconnectJitter=0] The ratio (0~1) of the delay to be reduced randomly.
+ *   @param {number} [opts.reconnectMaxAttempts=0] The maximum number of attempts. `0` means no
+ *          limit.
+ * @param {number} initialMillis The delay of the first attempt (`reconnectMillis`).
+ * @returns {Backoff}
+ * @throws {Error} Wrong arguments.
+ */
+function newBackoff(opts, initialMillis) {
+  if (
+    opts.reconnectMultiplier !== undefined &&
+    (typeof opts.reconnectMultiplier !== DataTypes.Number || !(opts.reconnectMultiplier >= 1))
+  ) {
+    throw Error('`reconnectMultiplier` must be a number not less than 1');
+  } else if (
+    opts.reconnectMaxMillis !== undefined &&
+    (!Number.isInteger(opts.reconnectMaxMillis) || opts.reconnectMaxMillis <= 0)
+  ) {
+    throw Error('`reconnectMaxMillis` must be a positive integer');
+  } else if (
+    opts.reconnectJitter !== undefined &&
+    (typeof opts.reconnectJitter !== DataTypes.Number ||
+      !(opts.reconnectJitter >= 0 && opts.reconnectJitter <= 1))
+  ) {
+    throw Error('`reconnectJitter` must be a number between 0 and 1');
+  } else if (
+    opts.reconnectMaxAttempts !== undefined &&
+    (!Number.isInteger(opts.reconnectMaxAttempts) || opts.reconnectMaxAttempts < 0)
+  ) {
+    throw Error('`reconnectMaxAttempts` must be a non-negative integer');
+  }
+
+  return new Backoff({
+    initialMillis,
+    multiplier: opts.reconnectMultiplier || DEF_MULTIPLIER,
+    maxMillis: opts.reconnectMaxMillis || Math.max(DEF_MAX_MILLIS, initialMillis),
+    jitter: opts.reconnectJitter || DEF_JITTER,
+    maxAttempts: opts.reconnectMaxAttempts || DEF_MAX_ATTEMPTS,
+  });
+}
+
+module.exports = {
+  Backoff,
+  newBackoff,
+};
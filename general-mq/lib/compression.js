@@ -0,0 +1,138 @@
+'use strict';
+
+const zlib = require('zlib');
+
+const { Compression, Errors } = require('./constants');
+const { MessageProperties } = require('./utils');
+
+const DEF_THRESHOLD = 1024;
+const DEF_MAX_DECOMPRESSED_BYTES = 64 * 1024 * 1024;
+
+/** Synchronous functions of algorithms to keep messages in order. */
+const Codecs = new Map([
+  [Compression.Gzip, { compress: zlib.gzipSync, decompress: zlib.gunzipSync }],
+  [Compression.Deflate, { compress: zlib.deflateSync, decompress: zlib.inflateSync }],
+  [
+    Compression.Brotli,
+    { compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync },
+  ],
+]);
+
+/**
+ * Compresses outgoing payloads and decompresses incoming payloads with the `contentEncoding`
+ * property as the marker.
+ *
+ * @private
+ * @class Compressor
+ */
+class Compressor {
+  /**
+   * @constructor
+   * @param {Compression} algorithm The algorithm to compress payloads.
+   * @param {number} threshold The minimum payload size in bytes to be compressed.
+   * @param {number} maxDecompressedBytes The maximum payload size in bytes after decompression.
+   */
+  constructor(algorithm, threshold, maxDecompressedBytes) {
+    this.#algorithm = algorithm;
+    this.#threshold = threshold;
+    this.#maxDecompressedBytes = maxDecompressedBytes;
+  }
+
+  /**
+   * To compress the payload if it is not smaller than the threshold. Messages that already have
+   * `contentEncoding` are not compressed.
+   *
+   * @param {Buffer} payload
+   * @param {MessageProperties} props
+   * @returns {{ payload: Buffer, props: MessageProperties }}
+   */
+  compress(payload, props) {
+    if (payload.length < this.#threshold || props.contentEncoding !== undefined) {
+      return { payload, props };
+    }
+    return {
+      payload: Codecs.get(this.#algorithm).compress(payload),
+      props: { ...props, contentEncoding: this.#algorithm },
+    };
+  }
+
+  /**
+   * To decompress the payload of the received message if `contentEncoding` is one of supported
+   * algorithms, and remove `contentEncoding` from its properties. Other messages are not changed.
+   *
+   * @param {Object} msg The received message.
+   *   @param {Buffer} msg.payload
+   *   @param {MessageProperties} msg.properties
+   * @throws {Error} The payload cannot be decompressed or is larger than `maxDecompressedBytes`
+   *         after decompression.
+   */
+  decompress(msg) {
+    const codec = Codecs.get(msg.properties.contentEncoding);
+    if (!codec) {
+      return;
+    }
+    try {
+      msg.payload = codec.decompress(msg.payload, { maxOutputLength: this.#maxDecompressedBytes });
+    } catch (err) {
+      // zlib throws `RangeError` when the output exceeds the limit, such as decompression bombs.
+      if (err instanceof RangeError) {
+        throw Error(Errors.DecompressLimit);
+      }
+      throw err;
+    }
+    const { contentEncoding, ...props } = msg.properties;
+    msg.properties = props;
+  }
+
+  /** @type {Compression} */
+  #algorithm;
+  /** @type {number} */
+  #threshold;
+  /** @type {number} */
+  #maxDecompressedBytes;
+}
+
+/**
+ * To create a compressor from queue options.
+ *
+ * @private
+ * @param {Object} opts The queue options.
+ *   @param {Compression} [opts.compression] The algorithm to compress payloads.
+ *   @param {number} [opts.compressionThreshold=1024] The minimum payload size in bytes to be
+ *          compressed.
+ *   @param {number} [opts.maxDecompressedBytes=67108864] The maximum payload size in bytes after
+ *          decompression.
+ * @returns {?Compressor} `null` if `compression` is not specified.
+ * @throws {Error} Wrong arguments.
+ */
+function newCompressor(opts) {
+  if (opts.compression !== undefined && !Codecs.has(opts.compression)) {
+    throw Error(`\`compression\` must be one of ${Object.values(Compression).join(', ')}`);
+  } else if (
+    opts.compressionThreshold !== undefined &&
+    (!Number.isInteger(opts.compressionThreshold) || opts.compressionThreshold < 0)
+  ) {
+    throw Error('`compressionThreshold` must be a non-negative integer');
+  } else if (
+    opts.maxDecompressedBytes !== undefined &&
+    (!Number.isInteger(opts.maxDecompressedBytes) || opts.maxDecompressedBytes <= 0)
+  ) {
+    throw Error('`maxDecompressedBytes` must be a positive integer');
+  }
+
+  if (opts.compression === undefined) {
+    return null;
+  }
+  const threshold =
+    opts.compressionThreshold === undefined ? DEF_THRESHOLD : opts.compressionThreshold;
+  const maxDecompressedBytes =
+    opts.maxDecompressedBytes === undefined
+      ? DEF_MAX_DECOMPRESSED_BYTES
+      : opts.maxDecompressedBytes;
+  return new Compressor(opts.compression, threshold, maxDecompressedBytes);
+}
+
+module.exports = {
+  Compressor,
+  newCompressor,
+};
@@ -1,6 +1,29 @@
 'use strict';
 
 module.exports = {
+  /**
+   * AMQP queue types of unicast queues. The value is used as the `x-queue-type` argument.
+   *
+   * @name AmqpQueueType
+   * @readonly
+   * @enum {string}
+   */
+  AmqpQueueType: {
+    Classic: 'classic',
+    Quorum: 'quorum',
+  },
+  /**
+   * Payload compression algorithms. The value is used as the `contentEncoding` property.
+   *
+   * @name Compression
+   * @readonly
+   * @enum {string}
+   */
+  Compression: {
+    Gzip: 'gzip',
+    Deflate: 'deflate',
+    Brotli: 'br',
+  },
   /**
    * Data types.
    *
@@ -12,6 +35,7 @@ module.exports = {
     /** @memberof DataTypes */
     Boolean: 'boolean',
     Function: 'function',
+    Number: 'number',
     Object: 'object',
     String: 'string',
   },
@@ -23,9 +47,19 @@ module.exports = {
    * @enum {string}
    */
   Errors: {
+    AckTimeout: 'ack timeout',
+    ConnectTimeout: 'connect timeout',
+    DecompressLimit: 'decompressed payload is too large',
     NoMsgHandler: 'no message handler',
     NotConnected: 'not connected',
     QueueIsReceiver: 'this queue is a receiver',
+    QueueIsSender: 'this queue is a sender',
+    ReconnectLimit: 'reconnect attempts exceeded',
+    RpcCancelled: 'rpc cancelled',
+    RpcTimeout: 'rpc timeout',
+    SendBufferFull: 'send buffer is full',
+    Unroutable: 'message is unroutable',
+    VerifyFailed: 'message verification failed',
   },
   /**
    * Events.
@@ -36,9 +70,39 @@ module.exports = {
    */
   Events: {
     Error: 'error',
+    Returned: 'returned',
     Status: 'status',
   },
+  /**
+   * The policy to select broker URIs of `uris` connection options.
+   *
+   * @name Failover
+   * @readonly
+   * @enum {string}
+   */
+  Failover: {
+    /** Use the next URI after a connection failure or an unexpected close. */
+    RoundRobin: 'round-robin',
+    /**
+     * Use the next URI after a connection failure, and connect from the first URI again after an
+     * unexpected close.
+     */
+    Priority: 'priority',
+  },
   QueuePattern: /^[a-z0-9_-]+([\.]{1}[a-z0-9_-]+)*$/,
+  /**
+   * The policy when the send buffer of a queue is full.
+   *
+   * @name SendBufferOverflow
+   * @readonly
+   * @enum {string}
+   */
+  SendBufferOverflow: {
+    /** Drop the oldest buffered messages to buffer the new message. */
+    DropOldest: 'drop-oldest',
+    /** Reject the new message. */
+    Reject: 'reject',
+  },
   /**
    * Connection/Queue status.
    *
@@ -51,6 +115,7 @@ module.exports = {
     Closed: Symbol(),
     Connecting: Symbol(),
     Connected: Symbol(),
+    /** Stopped reconnecting after `reconnectMaxAttempts` attempts. */
     Disconnected: Symbol(),
   },
 };
@@ -0,0 +1,171 @@
+'use strict';
+
+const { DataTypes } = require('./constants');
+
+/**
+ * Options of `close()` of queues.
+ *
+ * @typedef {Object} CloseOptions
+ * @property {number} [drainTimeoutMillis=0] To stop consuming and wait for in-flight messages to
+ *           be acknowledged before closing. Messages that are not acknowledged before the deadline
+ *           are requeued. `0` means closing immediately.
+ */
+
+/**
+ * Received messages that are passed to the message handler and not acknowledged yet. Queues wait
+ * for them before closing to drain, and handle messages that are not acknowledged in time.
+ *
+ * @private
+ * @class InFlight
+ */
+class InFlight {
+  /**
+   * @constructor
+   * @param {number} [timeoutMillis=0] The acknowledgement timeout of each message. `0` means no
+   *        timeout.
+   * @param {function} [onTimeout] REQUIRED with `timeoutMillis`.
+   *   @param {Object} onTimeout.msg The message that is not acknowledged in time. It is still
+   *          in-flight.
+   */
+  constructor(timeoutMillis, onTimeout) {
+    this.#msgs = new Map();
+    this.#waiters = new Set();
+    this.#timeoutMillis = timeoutMillis || 0;
+    this.#onTimeout = onTimeout;
+  }
+
+  /**
+   * To get the number of in-flight messages.
+   *
+   * @returns {number}
+   */
+  size() {
+    return this.#msgs.size;
+  }
+
+  /**
+   * @param {Object} msg The message that is passed to the message handler.
+   */
+  add(msg) {
+    let timer = null;
+    if (this.#timeoutMillis > 0) {
+      timer = setTimeout(() => {
+        this.#onTimeout(msg);
+      }, this.#timeoutMillis);
+    }
+    this.#msgs.set(msg, timer);
+  }
+
+  /**
+   * To remove the acknowledged message.
+   *
+   * @param {Object} msg
+   * @returns {boolean} `false` if the message is not in-flight.
+   */
+  delete(msg) {
+    if (!this.#msgs.has(msg)) {
+      return false;
+    }
+    clearTimeout(this.#msgs.get(msg));
+    this.#msgs.delete(msg);
+    if (this.#msgs.size === 0) {
+      this.#notify();
+    }
+    return true;
+  }
+
+  /**
+   * To forget in-flight messages that cannot be acknowledged anymore, such as messages that are
+   * received before disconnection.
+   */
+  clear() {
+    this.#clearTimers();
+    this.#msgs.clear();
+    this.#notify();
+  }
+
+  /**
+   * To wait for all in-flight messages to be acknowledged.
+   *
+   * @param {number} timeoutMillis The deadline.
+   * @param {function} callback
+   *   @param {Object[]} callback.remains Messages that are not acknowledged before the deadline.
+   *          They are removed from the in-flight messages.
+   */
+  wait(timeoutMillis, callback) {
+    if (this.#msgs.size === 0) {
+      return void process.nextTick(() => {
+        callback([]);
+      });
+    }
+
+    const self = this;
+    const waiter = () => {
+      clearTimeout(timer);
+      callback([]);
+    };
+    const timer = setTimeout(() => {
+      self.#waiters.delete(waiter);
+      const remains = [...self.#msgs.keys()];
+      self.#clearTimers();
+      self.#msgs.clear();
+      callback(remains);
+    }, timeoutMillis);
+    this.#waiters.add(waiter);
+  }
+
+  #clearTimers() {
+    for (const timer of this.#msgs.values()) {
+      clearTimeout(timer);
+    }
+  }
+
+  #notify() {
+    const waiters = [...this.#waiters];
+    this.#waiters.clear();
+    for (const waiter of waiters) {
+      // Notify after the acknowledgement of the last message is sent.
+      process.nextTick(waiter);
+    }
+  }
+
+  /**
+   * In-flight messages and their acknowledgement timers.
+   *
+   * @type {Map<Object, ?NodeJS.Timeout>}
+   */
+  #msgs;
+  /** @type {Set<function>} */
+  #waiters;
+  /** @type {number} */
+  #timeoutMillis;
+  /** @type {?function} */
+  #onTimeout;
+}
+
+/**
+ * To get the drain timeout from `close()` options.
+ *
+ * @private
+ * @param {CloseOptions} [opts]
+ * @returns {number} `0` for closing without draining.
+ * @throws {Error} Wrong arguments.
+ */
+function toDrainTimeout(opts) {
+  if (opts === undefined) {
+    return 0;
+  } else if (!opts || typeof opts !== DataTypes.Object || Array.isArray(opts)) {
+    throw Error('`opts` is not an object');
+  } else if (
+    opts.drainTimeoutMillis !== undefined &&
+    (!Number.isInteger(opts.drainTimeoutMillis) || opts.drainTimeoutMillis < 0)
+  ) {
+    throw Error('`drainTimeoutMillis` must be a non-negative integer');
+  }
+  return opts.drainTimeoutMillis || 0;
+}
+
+module.exports = {
+  InFlight,
+  toDrainTimeout,
+};
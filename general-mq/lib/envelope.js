@@ -0,0 +1,286 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const { DataTypes, Errors } = require('./constants');
+
+/** The envelope header starts with `GM` and the format version. */
+const MAGIC = Buffer.from([0x47, 0x4d, 0x01]);
+const FLAG_SIGN = 0x01;
+const FLAG_ENCRYPT = 0x02;
+const KEY_LEN = 32;
+const IV_LEN = 12;
+const TAG_LEN = 16;
+const MAC_LEN = 32;
+const MAX_KEY_ID_LEN = 255;
+
+/**
+ * Keys to sign and encrypt payloads with key IDs. Senders use the current key and receivers accept
+ * all keys in the ring, so keys can be rotated by:
+ *
+ * 1. Adding the new key to the rings of receivers.
+ * 2. Using the new key for senders.
+ * 3. Removing the old key after all messages with the old key are consumed.
+ *
+ * Rings can be shared by queues and changes apply to following messages immediately.
+ *
+ * @class KeyRing
+ */
+class KeyRing {
+  /**
+   * @constructor
+   * @param {Object.<string, Buffer>} keys 32-byte keys with key IDs as keys.
+   * @param {string} [currentId] The key ID to sign and encrypt payloads. This is REQUIRED for
+   *        senders.
+   * @throws {Error} Wrong arguments.
+   */
+  constructor(keys, currentId) {
+    if (!keys || typeof keys !== DataTypes.Object || Array.isArray(keys)) {
+      throw Error('`keys` is not an object');
+    }
+
+    this.#keys = new Map();
+    this.#currentId = null;
+    for (const keyId in keys) {
+      this.add(keyId, keys[keyId]);
+    }
+    if (currentId !== undefined) {
+      this.use(currentId);
+    }
+  }
+
+  /**
+   * To add a key or replace the key with the same ID.
+   *
+   * @param {string} keyId The key ID with 1 to 255 bytes.
+   * @param {Buffer} key The 32-byte key.
+   * @throws {Error} Wrong arguments.
+   */
+  add(keyId, key) {
+    if (
+      typeof keyId !== DataTypes.String ||
+      keyId.length === 0 ||
+      Buffer.byteLength(keyId) > MAX_KEY_ID_LEN
+    ) {
+      throw Error('`keyId` is not a string with 1 to 255 bytes');
+    } else if (!(key instanceof Buffer) || key.length !== KEY_LEN) {
+      throw Error(`key \`${keyId}\` is not a ${KEY_LEN}-byte Buffer`);
+    }
+
+    // Derive separated keys for encryption and HMAC.
+    this.#keys.set(keyId, {
+      enc: Buffer.from(crypto.hkdfSync('sha256', key, '', 'general-mq encrypt', KEY_LEN)),
+      mac: Buffer.from(crypto.hkdfSync('sha256', key, '', 'general-mq sign', KEY_LEN)),
+    });
+  }
+
+  /**
+   * To remove a key. The current key cannot be removed.
+   *
+   * @param {string} keyId
+   * @throws {Error} Wrong arguments.
+   */
+  remove(keyId) {
+    if (keyId === this.#currentId) {
+      throw Error('the current key cannot be removed');
+    }
+    this.#keys.delete(keyId);
+  }
+
+  /**
+   * To use the key to sign and encrypt following payloads.
+   *
+   * @param {string} keyId
+   * @throws {Error} Wrong arguments.
+   */
+  use(keyId) {
+    if (!this.#keys.has(keyId)) {
+      throw Error(`key \`${keyId}\` does not exist`);
+    }
+    this.#currentId = keyId;
+  }
+
+  /**
+   * To get the current key ID.
+   *
+   * @returns {?string}
+   */
+  currentId() {
+    return this.#currentId;
+  }
+
+  /**
+   * To get derived keys.
+   *
+   * @private
+   * @param {string} keyId
+   * @returns {?{ enc: Buffer, mac: Buffer }}
+   */
+  get(keyId) {
+    return this.#keys.get(keyId) || null;
+  }
+
+  /** @type {Map<string, { enc: Buffer, mac: Buffer }>} */
+  #keys;
+  /** @type {?string} */
+  #currentId;
+}
+
+/**
+ * Seals payloads into envelopes with HMAC-SHA256 signatures and/or AES-256-GCM encryption and opens
+ * them.
+ *
+ * The envelope format is:
+ * `GM` `0x01` | flags (1 byte) | key ID length (1 byte) | key ID | [IV (12) | tag (16)] | body |
+ * [HMAC (32)]
+ *
+ * The header is the additional authenticated data of the encryption and the HMAC covers all bytes
+ * before it.
+ *
+ * @private
+ * @class Envelope
+ */
+class Envelope {
+  /**
+   * @constructor
+   * @param {KeyRing} keyRing
+   * @param {boolean} sign
+   * @param {boolean} encrypt
+   */
+  constructor(keyRing, sign, encrypt) {
+    this.#keyRing = keyRing;
+    this.#flags = (sign ? FLAG_SIGN : 0) | (encrypt ? FLAG_ENCRYPT : 0);
+  }
+
+  /**
+   * To seal the payload with the current key.
+   *
+   * @param {Buffer} payload
+   * @returns {Buffer}
+   * @throws {Error} No current key.
+   */
+  seal(payload) {
+    const keyId = this.#keyRing.currentId();
+    if (keyId === null) {
+      throw Error('no current key in the key ring');
+    }
+    const keys = this.#keyRing.get(keyId);
+    const idBuf = Buffer.from(keyId);
+    const header = Buffer.concat([MAGIC, Buffer.from([this.#flags, idBuf.length]), idBuf]);
+
+    let body = [payload];
+    if (this.#flags & FLAG_ENCRYPT) {
+      const iv = crypto.randomBytes(IV_LEN);
+      const cipher = crypto.createCipheriv('aes-256-gcm', keys.enc, iv);
+      cipher.setAAD(header);
+      const encrypted = Buffer.concat([cipher.update(payload), cipher.final()]);
+      body = [iv, cipher.getAuthTag(), encrypted];
+    }
+    const sealed = Buffer.concat([header, ...body]);
+    if (!(this.#flags & FLAG_SIGN)) {
+      return sealed;
+    }
+    return Buffer.concat([sealed, crypto.createHmac('sha256', keys.mac).update(sealed).digest()]);
+  }
+
+  /**
+   * To verify and open the envelope of the received message. The message MUST be protected with
+   * all modes of this envelope.
+   *
+   * @param {Object} msg The received message.
+   *   @param {Buffer} msg.payload
+   * @throws {Error} `Errors.VerifyFailed` if the message cannot be verified or decrypted.
+   */
+  open(msg) {
+    const data = msg.payload;
+    if (data.length < MAGIC.length + 2 || !data.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw Error(Errors.VerifyFailed);
+    }
+    const flags = data[MAGIC.length];
+    const idLen = data[MAGIC.length + 1];
+    const headerLen = MAGIC.length + 2 + idLen;
+    const keys = this.#keyRing.get(data.subarray(MAGIC.length + 2, headerLen).toString());
+    if ((flags & this.#flags) !== this.#flags || !keys) {
+      throw Error(Errors.VerifyFailed);
+    }
+
+    let end = data.length;
+    if (flags & FLAG_SIGN) {
+      end -= MAC_LEN;
+      if (end < headerLen) {
+        throw Error(Errors.VerifyFailed);
+      }
+      const mac = crypto.createHmac('sha256', keys.mac).update(data.subarray(0, end)).digest();
+      if (!crypto.timingSafeEqual(mac, data.subarray(end))) {
+        throw Error(Errors.VerifyFailed);
+      }
+    }
+    if (!(flags & FLAG_ENCRYPT)) {
+      msg.payload = data.subarray(headerLen, end);
+      return;
+    }
+
+    if (end < headerLen + IV_LEN + TAG_LEN) {
+      throw Error(Errors.VerifyFailed);
+    }
+    const iv = data.subarray(headerLen, headerLen + IV_LEN);
+    const tag = data.subarray(headerLen + IV_LEN, headerLen + IV_LEN + TAG_LEN);
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', keys.enc, iv);
+      decipher.setAAD(data.subarray(0, headerLen));
+      decipher.setAuthTag(tag);
+      const encrypted = data.subarray(headerLen + IV_LEN + TAG_LEN, end);
+      msg.payload = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    } catch (_e) {
+      throw Error(Errors.VerifyFailed);
+    }
+  }
+
+  /** @type {KeyRing} */
+  #keyRing;
+  /** @type {number} */
+  #flags;
+}
+
+/**
+ * To create an envelope from queue options.
+ *
+ * @private
+ * @param {Object} opts The queue options.
+ *   @param {boolean} opts.isRecv
+ *   @param {Object} [opts.envelope]
+ *     @param {KeyRing} opts.envelope.keyRing The keys. Senders require the current key.
+ *     @param {boolean} [opts.envelope.sign=true] To sign payloads with HMAC-SHA256.
+ *     @param {boolean} [opts.envelope.encrypt=true] To encrypt payloads with AES-256-GCM.
+ * @returns {?Envelope} `null` if `envelope` is not specified.
+ * @throws {Error} Wrong arguments.
+ */
+function newEnvelope(opts) {
+  const envelope = opts.envelope;
+  if (envelope === undefined) {
+    return null;
+  } else if (!envelope || typeof envelope !== DataTypes.Object || Array.isArray(envelope)) {
+    throw Error('`envelope` is not an object');
+  } else if (!(envelope.keyRing instanceof KeyRing)) {
+    throw Error('`envelope.keyRing` is not a `KeyRing` object');
+  } else if (!opts.isRecv && envelope.keyRing.currentId() === null) {
+    throw Error('`envelope.keyRing` has no current key for the sender');
+  }
+  for (const key of ['sign', 'encrypt']) {
+    if (envelope[key] !== undefined && typeof envelope[key] !== DataTypes.Boolean) {
+      throw Error(`\`envelope.${key}\` is not boolean`);
+    }
+  }
+  const sign = envelope.sign !== false;
+  const encrypt = envelope.encrypt !== false;
+  if (!sign && !encrypt) {
+    throw Error('`envelope.sign` and `envelope.encrypt` cannot be both false');
+  }
+  return new Envelope(envelope.keyRing, sign, encrypt);
+}
+
+module.exports = {
+  Envelope,
+  KeyRing,
+  newEnvelope,
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+const { DataTypes, Events, Status } = require('./constants');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * The structured logger. Methods are called with fields and the message in the pino style
+ * `logger.info({ queue: 'name' }, 'message')`. For winston, use an adapter such as
+ * `{ info: (fields, msg) => winston.info(msg, fields), ... }`.
+ *
+ * @typedef {Object} Logger
+ * @property {function} debug
+ * @property {function} info
+ * @property {function} warn
+ * @property {function} error
+ */
+
+/** @type {Logger} */
+const noopLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+/**
+ * To validate the logger option.
+ *
+ * @private
+ * @param {Logger} [logger]
+ * @returns {Logger} The logger or a no-op logger if `logger` is not specified.
+ * @throws {Error} Wrong arguments.
+ */
+function toLogger(logger) {
+  if (logger === undefined) {
+    return noopLogger;
+  } else if (
+    !logger ||
+    typeof logger !== DataTypes.Object ||
+    !LEVELS.every((level) => typeof logger[level] === DataTypes.Function)
+  ) {
+    throw Error('`logger` must have `debug`, `info`, `warn` and `error` functions');
+  }
+  return logger;
+}
+
+/**
+ * To get the name of the status for logs.
+ *
+ * @private
+ * @param {Status} status
+ * @returns {string} The name such as `connected` or `unknown`.
+ */
+function statusName(status) {
+  const name = Object.keys(Status).find((key) => Status[key] === status);
+  return name ? name.toLowerCase() : 'unknown';
+}
+
+/**
+ * To log `status` and `error` events of connections and queues.
+ *
+ * @private
+ * @param {Logger} logger
+ * @param {Object} fields Fields of the emitter such as `host` or `queue`.
+ * @param {string} event
+ * @param {Array} args Arguments of the event.
+ */
+function logEvent(logger, fields, event, args) {
+  if (event === Events.Status) {
+    const status = args[0];
+    const level = status === Status.Disconnected ? 'error' : 'info';
+    logger[level]({ ...fields, status: statusName(status) }, 'status changed');
+  } else if (event === Events.Error) {
+    logger.error({ ...fields, err: args[0] }, 'error event');
+  }
+}
+
+module.exports = {
+  logEvent,
+  noopLogger,
+  statusName,
+  toLogger,
+};
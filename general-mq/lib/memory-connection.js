@@ -0,0 +1,549 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { URL } = require('url');
+
+const { DataTypes, Events, Status } = require('./constants');
+const { Logger, logEvent, toLogger } = require('./logger');
+const { ConnectionMetrics, ConnectionMetricsSnapshot } = require('./metrics');
+const { MessageProperties, promisify, toMsgProps, waitConnected } = require('./utils');
+
+const DEF_URI = 'memory://localhost';
+const DEF_CONN_TIMEOUT = 3000;
+
+/**
+ * In-process brokers that are shared by all `MemoryConnection` instances with the same URI host.
+ *
+ * @type {Map<string, MemoryBroker>}
+ */
+const brokers = new Map();
+
+/**
+ * Connection error event.
+ *
+ * @event MemoryConnection#error
+ * @type {Error}
+ */
+
+/**
+ * Connection status event.
+ *
+ * @event MemoryConnection#status
+ * @type {Status}
+ */
+
+/**
+ * The consumer of a broker queue.
+ *
+ * @private
+ * @typedef {Object} BrokerConsumer
+ * @property {boolean} reliable `true` to requeue unacknowledged messages when the consumer is
+ *           removed.
+ * @property {number} prefetch The maximum number of unacknowledged messages.
+ * @property {boolean} [paused] `true` to stop dispatching messages to this consumer.
+ * @property {function} handler
+ *   @param {BrokerDelivery} handler.delivery
+ */
+
+/**
+ * A message that is stored in a broker queue.
+ *
+ * @private
+ * @typedef {Object} BrokerMessage
+ * @property {Buffer} payload
+ * @property {MessageProperties} props
+ * @property {boolean} redelivered
+ */
+
+/**
+ * The delivery information of a message.
+ *
+ * @private
+ * @typedef {Object} BrokerDelivery
+ * @property {BrokerMessage} message
+ * @property {Buffer} payload
+ * @property {MessageProperties} props A copy of the message properties for the consumer.
+ * @property {boolean} redelivered
+ * @property {BrokerQueue} queue
+ * @property {BrokerConsumer} consumer
+ */
+
+/**
+ * A queue inside the in-process broker. Messages are dispatched to consumers with round-robin.
+ *
+ * @private
+ * @class BrokerQueue
+ */
+class BrokerQueue {
+  constructor() {
+    this.#messages = [];
+    this.#consumers = [];
+    this.#unacked = new Map();
+    this.#next = 0;
+    this.#scheduled = false;
+  }
+
+  /**
+   * @param {Buffer} payload
+   * @param {MessageProperties} props
+   */
+  push(payload, props) {
+    this.#messages.push({ payload, props, redelivered: false });
+    this.#schedule();
+  }
+
+  /**
+   * @param {BrokerConsumer} consumer
+   */
+  addConsumer(consumer) {
+    this.#consumers.push(consumer);
+    this.#unacked.set(consumer, []);
+    this.#schedule();
+  }
+
+  /**
+   * To remove the consumer. Unacknowledged messages of a reliable consumer will be requeued.
+   *
+   * @param {BrokerConsumer} consumer
+   */
+  removeConsumer(consumer) {
+    const index = this.#consumers.indexOf(consumer);
+    if (index < 0) {
+      return;
+    }
+    this.#consumers.splice(index, 1);
+    const unacked = this.#unacked.get(consumer);
+    this.#unacked.delete(consumer);
+    if (consumer.reliable) {
+      for (let i = unacked.length - 1; i >= 0; i--) {
+        this.#messages.unshift({ ...unacked[i].message, redelivered: true });
+      }
+    }
+    this.#schedule();
+  }
+
+  /**
+   * @param {BrokerDelivery} delivery
+   */
+  ack(delivery) {
+    this.#settle(delivery);
+  }
+
+  /**
+   * To reject the delivery. The message will be requeued like AMQP for all consumers.
+   *
+   * @param {BrokerDelivery} delivery
+   */
+  nack(delivery) {
+    if (this.#settle(delivery)) {
+      this.#messages.unshift({ ...delivery.message, redelivered: true });
+      this.#schedule();
+    }
+  }
+
+  /**
+   * To remove the delivery from the unacknowledged list.
+   *
+   * @param {BrokerDelivery} delivery
+   * @returns {boolean} `false` if the delivery has been settled or the consumer has been removed.
+   */
+  #settle(delivery) {
+    const unacked = this.#unacked.get(delivery.consumer);
+    if (!unacked) {
+      return false;
+    }
+    const index = unacked.indexOf(delivery);
+    if (index < 0) {
+      return false;
+    }
+    unacked.splice(index, 1);
+    this.#schedule();
+    return true;
+  }
+
+  #schedule() {
+    if (this.#scheduled) {
+      return;
+    }
+    this.#scheduled = true;
+    const self = this;
+    setImmediate(() => {
+      self.#scheduled = false;
+      self.#dispatch();
+    });
+  }
+
+  #dispatch() {
+    // Only dispatch existing messages so that messages requeued by handlers synchronously will be
+    // dispatched in the next round.
+    let count = this.#messages.length;
+    while (count > 0 && this.#messages.length > 0) {
+      count--;
+      let consumer = null;
+      for (let i = 0; i < this.#consumers.length; i++) {
+        const c = this.#consumers[(this.#next + i) % this.#consumers.length];
+        if (!c.paused && this.#unacked.get(c).length < c.prefetch) {
+          consumer = c;
+          this.#next = (this.#next + i + 1) % this.#consumers.length;
+          break;
+        }
+      }
+      if (!consumer) {
+        return;
+      }
+
+      const msg = this.#messages.shift();
+      const delivery = {
+        message: msg,
+        payload: msg.payload,
+        props: toMsgProps(msg.props),
+        redelivered: msg.redelivered,
+        queue: this,
+        consumer,
+      };
+      this.#unacked.get(consumer).push(delivery);
+      consumer.handler(delivery);
+    }
+  }
+
+  /** @type {BrokerMessage[]} */
+  #messages;
+  /** @type {BrokerConsumer[]} */
+  #consumers;
+  /** @type {Map<BrokerConsumer, BrokerDelivery[]>} */
+  #unacked;
+  /**
+   * The next consumer index for round-robin.
+   *
+   * @type {number}
+   */
+  #next;
+  /** @type {boolean} */
+  #scheduled;
+}
+
+/**
+ * The subscription information of a consumer.
+ *
+ * @private
+ * @typedef {Object} BrokerSubscription
+ * @property {string} name
+ * @property {boolean} broadcast
+ * @property {BrokerQueue} queue
+ * @property {BrokerConsumer} consumer
+ */
+
+/**
+ * The in-process broker. Unicast queues keep messages until they are consumed and broadcast
+ * exchanges copy messages to the temporary queues of all subscribers.
+ *
+ * @private
+ * @class MemoryBroker
+ */
+class MemoryBroker {
+  constructor() {
+    this.#queues = new Map();
+    this.#exchanges = new Map();
+  }
+
+  /**
+   * To publish a message to a unicast queue or a broadcast exchange.
+   *
+   * @param {string} name
+   * @param {boolean} broadcast
+   * @param {Buffer} payload
+   * @param {MessageProperties} props
+   */
+  publish(name, broadcast, payload, props) {
+    if (!broadcast) {
+      return void this.#getQueue(name).push(payload, props);
+    }
+
+    const subscribers = this.#exchanges.get(name);
+    if (subscribers) {
+      for (const queue of subscribers) {
+        queue.push(payload, props);
+      }
+    }
+  }
+
+  /**
+   * To consume a unicast queue or a broadcast exchange.
+   *
+   * @param {string} name
+   * @param {boolean} broadcast
+   * @param {BrokerConsumer} consumer
+   * @returns {BrokerSubscription}
+   */
+  subscribe(name, broadcast, consumer) {
+    let queue;
+    if (broadcast) {
+      queue = new BrokerQueue();
+      let subscribers = this.#exchanges.get(name);
+      if (!subscribers) {
+        subscribers = new Set();
+        this.#exchanges.set(name, subscribers);
+      }
+      subscribers.add(queue);
+    } else {
+      queue = this.#getQueue(name);
+    }
+    queue.addConsumer(consumer);
+    return { name, broadcast, queue, consumer };
+  }
+
+  /**
+   * To stop dispatching messages to the consumer. Unacknowledged messages can still be
+   * acknowledged.
+   *
+   * @param {BrokerSubscription} subscription
+   */
+  pause(subscription) {
+    subscription.consumer.paused = true;
+  }
+
+  /**
+   * @param {BrokerSubscription} subscription
+   */
+  unsubscribe(subscription) {
+    subscription.queue.removeConsumer(subscription.consumer);
+    if (!subscription.broadcast) {
+      return;
+    }
+
+    const subscribers = this.#exchanges.get(subscription.name);
+    if (subscribers) {
+      subscribers.delete(subscription.queue);
+      if (subscribers.size === 0) {
+        this.#exchanges.delete(subscription.name);
+      }
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {BrokerQueue}
+   */
+  #getQueue(name) {
+    let queue = this.#queues.get(name);
+    if (!queue) {
+      queue = new BrokerQueue();
+      this.#queues.set(name, queue);
+    }
+    return queue;
+  }
+
+  /** @type {Map<string, BrokerQueue>} */
+  #queues;
+  /** @type {Map<string, Set<BrokerQueue>>} */
+  #exchanges;
+}
+
+/**
+ * Manages a connection to an in-process broker. This is useful for testing applications without
+ * launching a message broker.
+ *
+ * All connections with the same URI host share the same broker, so messages can be sent and
+ * received across connections within the process.
+ *
+ * @class MemoryConnection
+ * @fires MemoryConnection#error
+ * @fires MemoryConnection#status
+ */
+class MemoryConnection extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} [opts] The connection options.
+   *   @param {string} [opts.uri='memory://localhost'] Connection URI. Use `memory://name` format.
+   *          The `name` identifies the broker.
+   *   @param {number} [opts.connectTimeoutMillis=3000] Connection timeout in milliseconds.
+   *   @param {Logger} [opts.logger] The structured logger. Default does not log.
+   * @throws {Error} Wrong arguments.
+   */
+  constructor(opts) {
+    super();
+
+    if (opts === undefined) {
+      opts = {};
+    } else {
+      if (!opts || typeof opts !== DataTypes.Object || Array.isArray(opts)) {
+        throw Error('`opts` is not an object');
+      }
+      if (opts.uri !== undefined) {
+        if (!opts.uri || typeof opts.uri !== DataTypes.String) {
+          throw Error('`uri` is not a string');
+        } else if (!URL.canParse(opts.uri)) {
+          throw Error('`uri` is not a valid URI');
+        }
+        const u = new URL(opts.uri);
+        if (u.protocol !== 'memory:') {
+          throw Error('`uri` scheme only support `memory`');
+        }
+      }
+      if (
+        opts.connectTimeoutMillis !== undefined &&
+        (!Number.isInteger(opts.connectTimeoutMillis) || opts.connectTimeoutMillis < 0)
+      ) {
+        throw Error('`connectTimeoutMillis` is not a positive integer');
+      }
+    }
+
+    this.#opts = {
+      uri: opts.uri || DEF_URI,
+      connectTimeoutMillis: opts.connectTimeoutMillis || DEF_CONN_TIMEOUT,
+    };
+    this.#metrics = new ConnectionMetrics();
+    this.#logger = toLogger(opts.logger);
+    this.#status = Status.Closed;
+    this.#conn = null;
+  }
+
+  /**
+   * To get the connection status.
+   *
+   * @returns {Status}
+   */
+  status() {
+    return this.#status;
+  }
+
+  /**
+   * To get the metrics snapshot of the connection.
+   *
+   * @returns {ConnectionMetricsSnapshot}
+   */
+  metrics() {
+    return this.#metrics.snapshot();
+  }
+
+  /**
+   * To log events with the logger before emitting them. Error events without listeners are only
+   * logged, so errors of reconnection do not throw from timers and socket callbacks.
+   *
+   * @private
+   * @param {string} event
+   * @param {...*} args
+   * @returns {boolean}
+   */
+  emit(event, ...args) {
+    logEvent(this.#logger, { host: new URL(this.#opts.uri).host }, event, args);
+    if (event === Events.Error && this.listenerCount(Events.Error) === 0) {
+      return false;
+    }
+    return super.emit(event, ...args);
+  }
+
+  /**
+   * To connect to the in-process broker. The `MemoryConnection` will report status with Status.
+   *
+   * The returned Promise is resolved when the connection reports `Status.Connected` for the first
+   * time, or is rejected with `Errors.ConnectTimeout` when it does not connect in time.
+   *
+   * @param {number} [timeoutMillis] Time in milliseconds to wait for the connected status. Default
+   *        uses `connectTimeoutMillis` and `0` means waiting without time limit.
+   * @returns {Promise<void>}
+   * @throws {Error} Wrong arguments.
+   */
+  connect(timeoutMillis) {
+    if (timeoutMillis === undefined) {
+      timeoutMillis = this.#opts.connectTimeoutMillis;
+    } else if (!Number.isInteger(timeoutMillis) || timeoutMillis < 0) {
+      throw Error('`timeoutMillis` is not a positive integer');
+    }
+
+    const p = waitConnected(this, timeoutMillis);
+    if (this.#status !== Status.Closed && this.#status !== Status.Closing) {
+      return p;
+    }
+
+    this.#status = Status.Connecting;
+    this.emit(Events.Status, Status.Connecting);
+
+    this.#innerConnect();
+    return p;
+  }
+
+  /**
+   * To close the connection. You can use a callback function or the returned Promise to get the
+   * result or listen events.
+   *
+   * @param {function} [callback]
+   *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is not a function.
+   */
+  close(callback) {
+    if (typeof callback !== DataTypes.Function) {
+      return promisify((cb) => {
+        this.close(cb);
+      });
+    }
+
+    if (this.#status === Status.Closing || this.#status === Status.Closed) {
+      return void process.nextTick(() => {
+        callback(null);
+      });
+    }
+
+    this.#status = Status.Closing;
+    this.emit(Events.Status, Status.Closing);
+    this.#conn = null;
+    this.#status = Status.Closed;
+    this.emit(Events.Status, Status.Closed);
+    process.nextTick(() => {
+      callback(null);
+    });
+  }
+
+  /**
+   * To get the in-process broker instance for queue declaration.
+   *
+   * @private
+   * @returns {?MemoryBroker} The broker instance.
+   */
+  getRawConnection() {
+    return this.#conn;
+  }
+
+  #innerConnect() {
+    const self = this;
+    setImmediate(() => {
+      if (self.#status !== Status.Connecting) {
+        return;
+      }
+
+      const name = new URL(self.#opts.uri).host;
+      let broker = brokers.get(name);
+      if (!broker) {
+        broker = new MemoryBroker();
+        brokers.set(name, broker);
+      }
+      self.#conn = broker;
+      self.#metrics.connected();
+      self.#status = Status.Connected;
+      self.emit(Events.Status, Status.Connected);
+    });
+  }
+
+  #opts;
+  /** @type {Status} */
+  #status;
+  /** @type {?MemoryBroker} */
+  #conn;
+  /** @type {ConnectionMetrics} */
+  #metrics;
+  /** @type {Logger} */
+  #logger;
+}
+
+/**
+ * To remove all in-process brokers and their messages. Connected connections keep using the removed
+ * brokers until they reconnect. This is useful for cleaning up between test cases.
+ */
+function clearBrokers() {
+  brokers.clear();
+}
+
+module.exports = {
+  MemoryConnection,
+  clearBrokers,
+};
@@ -0,0 +1,716 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+const { Backoff, newBackoff } = require('./backoff');
+const { Compressor, newCompressor } = require('./compression');
+const { MemoryConnection } = require('./memory-connection');
+const { Compression, DataTypes, Errors, Events, QueuePattern, Status } = require('./constants');
+const { CloseOptions, InFlight, toDrainTimeout } = require('./drain');
+const { Envelope, KeyRing, newEnvelope } = require('./envelope');
+const { Logger, logEvent, toLogger } = require('./logger');
+const { QueueMetrics, QueueMetricsSnapshot } = require('./metrics');
+const { SendBuffer, newSendBuffer } = require('./send-buffer');
+const { MessageIterator, QueueWritable } = require('./stream');
+const { MessageProperties, promisify, toMsgProps, waitConnected } = require('./utils');
+
+const DEF_RECONN = 1000;
+
+/**
+ * Queue error event.
+ *
+ * @event MemoryQueue#error
+ * @type {Error}
+ */
+
+/**
+ * Queue status event.
+ *
+ * @event MemoryQueue#status
+ * @type {Status}
+ */
+
+/**
+ * The message that contains payload and meta data for acknowledgement.
+ *
+ * @typedef {Object} MemoryMessage
+ * @property {Buffer} payload The message payload.
+ * @property {MessageProperties} properties The message properties.
+ * @property {Object} meta The meta data that is used for acknowledgement. You should not access this
+ *           property.
+ */
+
+/**
+ * Message handler.
+ *
+ * @callback MemoryQueueMsgHandler
+ * @param {MemoryQueue} queue The relative queue that receives the incoming message.
+ * @param {MemoryMessage} msg The incoming message.
+ */
+
+/**
+ * Manages an in-process queue.
+ *
+ * The semantics follow `AmqpQueue`:
+ * - Unicast queues keep messages until a receiver consumes them, and messages are distributed to
+ *   receivers with round-robin.
+ * - Broadcast messages are copied to all connected receivers and are dropped if there are no
+ *   receivers.
+ * - Receivers hold at most `prefetch` unacknowledged messages.
+ * - Receivers get NACK-ed messages again. Reliable receivers also get unacknowledged messages of
+ *   closed receivers again, and best-effort receivers drop them.
+ *
+ * @class MemoryQueue
+ * @fires MemoryQueue#error
+ * @fires MemoryQueue#status
+ */
+class MemoryQueue extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} opts The queue options.
+   *   @param {string} opts.name The queue name that is used to map a unicast queue or a broadcast
+   *          exchange. The pattern is `^[a-z0-9_-]+([\.]{1}[a-z0-9_-]+)*$`.
+   *   @param {boolean} opts.isRecv `true` for the receiver and `false` for the sender.
+   *   @param {boolean} opts.reliable `true` to requeue messages that are not acknowledged.
+   *   @param {boolean} opts.broadcast `true` for broadcast and `false` for unicast.
+   *   @param {number} [opts.reconnectMillis=1000] Time in milliseconds from disconnection to
+   *          reconnection.
+   *   @param {number} [opts.reconnectMultiplier=1] The multiplier of the reconnection delay for
+   *          each failed attempt. `1` means using `reconnectMillis` for all attempts.
+   *   @param {number} [opts.reconnectMaxMillis=60000] The maximum reconnection delay.
+   *   @param {number} [opts.reconnectJitter=0] The ratio (0~1) of the reconnection delay to be
+   *          reduced randomly.
+   *   @param {number} [opts.reconnectMaxAttempts=0] The maximum number of reconnection attempts.
+   *          The queue reports `Status.Disconnected` and an error when attempts are exceeded. `0`
+   *          means no limit.
+   *   @param {number} [opts.prefetch] REQUIRED when `isRecv=true`. The maximum number of
+   *          unacknowledged messages of the receiver. This value MUST be a positive value between 1
+   *          to 65535.
+   *   @param {number} [opts.ackTimeoutMillis=0] (receivers only) The time in milliseconds for
+   *          the handler to acknowledge each message. Messages that are not acknowledged in time
+   *          are NACK-ed with an `Errors.AckTimeout` error event. `0` means no timeout.
+   *   @param {number} [opts.bufferMaxCount] The maximum number of messages that `sendMsg()`
+   *          buffers while the queue is connecting. Buffered messages are sent in order after the
+   *          queue is connected. Default does not buffer messages.
+   *   @param {number} [opts.bufferMaxBytes] The maximum total payload bytes of buffered messages.
+   *   @param {SendBufferOverflow} [opts.bufferOverflow='reject'] The policy when the buffer is full.
+   *   @param {Compression} [opts.compression] Senders compress payloads with the algorithm and
+   *          receivers decompress payloads of all supported algorithms.
+   *   @param {number} [opts.compressionThreshold=1024] The minimum payload size in bytes to be
+   *          compressed.
+   *   @param {number} [opts.maxDecompressedBytes=67108864] Receivers reject messages that are
+   *          larger than this size in bytes after decompression.
+   *   @param {Object} [opts.envelope] To sign and/or encrypt payloads. Receivers verify payloads and
+   *          reject messages that fail verification with an error event.
+   *     @param {KeyRing} opts.envelope.keyRing The keys. Senders use the current key.
+   *     @param {boolean} [opts.envelope.sign=true] To sign payloads with HMAC-SHA256.
+   *     @param {boolean} [opts.envelope.encrypt=true] To encrypt payloads with AES-256-GCM.
+   *   @param {Logger} [opts.logger] The structured logger. Default does not log.
+   * @param {MemoryConnection} conn The in-process connection.
+   * @throws {Error} Wrong arguments.
+   */
+  constructor(opts, conn) {
+    super();
+
+    if (!opts || typeof opts !== DataTypes.Object || Array.isArray(opts)) {
+      throw Error('`opts` is not an object');
+    } else if (!(conn instanceof MemoryConnection)) {
+      throw Error('`conn` is not a `MemoryConnection` object');
+    } else if (!QueuePattern.test(opts.name)) {
+      throw Error('`name` is not match pattern `^[a-z0-9_-]+([\\.]{1}[a-z0-9_-]+)*$`');
+    } else if (typeof opts.isRecv !== DataTypes.Boolean) {
+      throw Error('`isRecv` is not boolean');
+    } else if (typeof opts.reliable !== DataTypes.Boolean) {
+      throw Error('`reliable` is not boolean');
+    } else if (typeof opts.broadcast !== DataTypes.Boolean) {
+      throw Error('`broadcast` is not boolean');
+    } else if (
+      opts.isRecv &&
+      (!Number.isInteger(opts.prefetch) || opts.prefetch <= 0 || opts.prefetch > 65535)
+    ) {
+      throw Error('`prefetch` must be a positive integer between 1 to 65535');
+    }
+    if (
+      opts.reconnectMillis !== undefined &&
+      (!Number.isInteger(opts.reconnectMillis) || opts.reconnectMillis < 0)
+    ) {
+      throw Error('`reconnectMillis` must be a positive integer');
+    }
+    if (
+      opts.ackTimeoutMillis !== undefined &&
+      (!Number.isInteger(opts.ackTimeoutMillis) || opts.ackTimeoutMillis < 0)
+    ) {
+      throw Error('`ackTimeoutMillis` must be a non-negative integer');
+    }
+
+    this.#opts = {
+      name: opts.name,
+      isRecv: opts.isRecv,
+      reliable: opts.reliable,
+      broadcast: opts.broadcast,
+      reconnectMillis: opts.reconnectMillis || DEF_RECONN,
+      prefetch: opts.prefetch,
+    };
+    this.#status = Status.Closed;
+    this.#conn = conn;
+    this.#backoff = newBackoff(opts, this.#opts.reconnectMillis);
+    this.#broker = null;
+    this.#subscription = null;
+    this.#inFlight = new InFlight(opts.ackTimeoutMillis, this.#onAckTimeout.bind(this));
+    this.#msgHandler = null;
+    this.#metrics = new QueueMetrics();
+    this.#logger = toLogger(opts.logger);
+    this.#sendBuffer = newSendBuffer(
+      opts,
+      this.#innerSendMsg.bind(this),
+      () => this.#status === Status.Connected
+    );
+    this.#compressor = newCompressor(opts);
+    this.#envelope = newEnvelope(opts);
+
+    this.#onConnStatus = this.#onConnStatusChanged.bind(this);
+  }
+
+  /**
+   * To get the queue name.
+   *
+   * @returns {string}
+   */
+  name() {
+    return this.#opts.name;
+  }
+
+  /**
+   * Is the queue a receiver.
+   *
+   * @returns {boolean}
+   */
+  isRecv() {
+    return this.#opts.isRecv;
+  }
+
+  /**
+   * To get the queue status.
+   *
+   * @returns {Status}
+   */
+  status() {
+    return this.#status;
+  }
+
+  /**
+   * To get the metrics snapshot of the queue.
+   *
+   * @returns {QueueMetricsSnapshot}
+   */
+  metrics() {
+    return this.#metrics.snapshot();
+  }
+
+  /**
+   * To log events with the logger before emitting them. Error events without listeners are only
+   * logged, so errors of received messages do not throw from the broker callback.
+   *
+   * @private
+   * @param {string} event
+   * @param {...*} args
+   * @returns {boolean}
+   */
+  emit(event, ...args) {
+    logEvent(this.#logger, { queue: this.#opts.name }, event, args);
+    if (event === Events.Error && this.listenerCount(Events.Error) === 0) {
+      return false;
+    }
+    return super.emit(event, ...args);
+  }
+
+  /**
+   * Set the message handler.
+   *
+   * @param {?MemoryQueueMsgHandler} handler
+   * @throws {Error} Wrong arguments.
+   */
+  setMsgHandler(handler) {
+    if (typeof handler !== DataTypes.Function) {
+      throw Error('the handler is not a function');
+    }
+
+    this.#msgHandler = handler;
+  }
+
+  /**
+   * To receive messages with `for await`. This replaces the message handler, so call this before
+   * `connect()`. Call `ack()` or `nack()` for each message.
+   *
+   * @returns {MessageIterator}
+   * @throws {Error} The queue is not a receiver.
+   */
+  messages() {
+    return new MessageIterator(this);
+  }
+
+  /**
+   * To connect to the message queue. The `MemoryQueue` will report status with Status.
+   *
+   * The returned Promise is resolved when the queue reports `Status.Connected` for the first time,
+   * or is rejected with `Errors.ConnectTimeout` when it does not connect in time. The queue keeps
+   * retrying in the background after the timeout.
+   *
+   * @param {number} [timeoutMillis=0] Time in milliseconds to wait for the connected status. `0`
+   *        means waiting without time limit.
+   * @returns {Promise<void>}
+   * @throws {Error} Wrong arguments or usage.
+   */
+  connect(timeoutMillis) {
+    if (this.#opts.isRecv && !this.#msgHandler) {
+      throw Error(Errors.NoMsgHandler);
+    } else if (
+      timeoutMillis !== undefined &&
+      (!Number.isInteger(timeoutMillis) || timeoutMillis < 0)
+    ) {
+      throw Error('`timeoutMillis` is not a positive integer');
+    }
+
+    const p = waitConnected(this, timeoutMillis || 0);
+    if (
+      this.#status !== Status.Closed &&
+      this.#status !== Status.Closing &&
+      this.#status !== Status.Disconnected
+    ) {
+      return p;
+    }
+    this.#backoff.reset();
+
+    // Listen to the connection only while the queue is in use, so closed queues can be released.
+    this.#conn.removeListener(Events.Status, this.#onConnStatus);
+    this.#conn.on(Events.Status, this.#onConnStatus);
+    this.#status = Status.Connecting;
+    this.emit(Events.Status, Status.Connecting);
+
+    this.#innerConnect();
+    return p;
+  }
+
+  /**
+   * To close the queue. You can use a callback function or the returned Promise to get the result
+   * or listen events.
+   *
+   * With `drainTimeoutMillis`, the receiver stops consuming and waits for in-flight messages to be
+   * acknowledged. Messages that are not acknowledged before the deadline are requeued.
+   *
+   * @param {CloseOptions} [opts]
+   * @param {function} [callback]
+   *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is not a function.
+   * @throws {Error} Wrong arguments.
+   */
+  close(opts, callback) {
+    if (typeof opts === DataTypes.Function) {
+      callback = opts;
+      opts = undefined;
+    }
+    const drainTimeoutMillis = toDrainTimeout(opts);
+    if (typeof callback !== DataTypes.Function) {
+      return promisify((cb) => {
+        this.close(opts, cb);
+      });
+    }
+
+    if (this.#sendBuffer) {
+      this.#sendBuffer.clear(Error(Errors.NotConnected));
+    }
+    this.#conn.removeListener(Events.Status, this.#onConnStatus);
+
+    if (this.#status === Status.Closing || this.#status === Status.Closed) {
+      return void process.nextTick(() => {
+        callback(null);
+      });
+    }
+
+    this.#status = Status.Closing;
+    this.emit(Events.Status, Status.Closing);
+    const self = this;
+    this.#drain(drainTimeoutMillis, () => {
+      self.#release();
+      self.#status = Status.Closed;
+      self.emit(Events.Status, Status.Closed);
+      process.nextTick(() => {
+        callback(null);
+      });
+    });
+  }
+
+  /**
+   * To send a message (for senders only).
+   *
+   * @param {Buffer} payload The raw data to be sent.
+   * @param {MessageProperties} [props] The message properties.
+   * @param {function} [callback] Omit this to get a Promise.
+   *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is omitted.
+   * @throws {Error} Wrong arguments.
+   */
+  sendMsg(payload, props, callback) {
+    if (typeof props === DataTypes.Function) {
+      callback = props;
+      props = undefined;
+    }
+
+    if (!(payload instanceof Buffer)) {
+      throw Error('`payload` is not a Buffer');
+    }
+    props = toMsgProps(props);
+    if (callback === undefined) {
+      return promisify((cb) => {
+        this.sendMsg(payload, props, cb);
+      });
+    } else if (typeof callback !== DataTypes.Function) {
+      throw Error('`callback` is not a function');
+    }
+
+    const metrics = this.#metrics;
+    const done = callback;
+    callback = function (err) {
+      metrics.sent(err);
+      done(err);
+    };
+    if (
+      this.#status !== Status.Connected &&
+      !(this.#sendBuffer && this.#status === Status.Connecting)
+    ) {
+      return void process.nextTick(() => {
+        callback(Error(Errors.NotConnected));
+      });
+    }
+    if (this.#opts.isRecv) {
+      return void process.nextTick(() => {
+        callback(Error(Errors.QueueIsReceiver));
+      });
+    }
+
+    if (this.#compressor || this.#envelope) {
+      try {
+        if (this.#compressor) {
+          ({ payload, props } = this.#compressor.compress(payload, props));
+        }
+        if (this.#envelope) {
+          payload = this.#envelope.seal(payload);
+        }
+      } catch (err) {
+        return void process.nextTick(() => {
+          callback(err);
+        });
+      }
+    }
+    if (this.#sendBuffer && (this.#status !== Status.Connected || this.#sendBuffer.length() > 0)) {
+      return void this.#sendBuffer.push(payload, props, callback);
+    }
+    this.#innerSendMsg(payload, props, callback);
+  }
+
+  /**
+   * To get a `Writable` stream (object mode) that sends written chunks (for senders only). Chunks
+   * are Buffers, strings or `{ payload, props }` objects.
+   *
+   * @param {Object} [opts]
+   *   @param {number} [opts.highWaterMark=16] The number of messages to buffer in the stream.
+   * @returns {QueueWritable}
+   * @throws {Error} Wrong arguments or the queue is not a sender.
+   */
+  writable(opts) {
+    return new QueueWritable(this, opts);
+  }
+
+  /**
+   * Use this if the message is processed successfully.
+   *
+   * @param {MemoryMessage} msg
+   * @param {function} [callback] Omit this to get a Promise.
+   *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is omitted.
+   * @throws {Error} Wrong arguments.
+   */
+  ack(msg, callback) {
+    if (!msg || typeof msg !== DataTypes.Object || Array.isArray(msg)) {
+      throw Error('`msg` is not an object');
+    } else if (callback === undefined) {
+      return promisify((cb) => {
+        this.ack(msg, cb);
+      });
+    } else if (typeof callback !== DataTypes.Function) {
+      throw Error('`callback` is not a function');
+    }
+
+    if (this.#inFlight.delete(msg)) {
+      this.#metrics.settled(msg, true);
+      if (msg.meta) {
+        msg.meta.queue.ack(msg.meta);
+      }
+    }
+    process.nextTick(() => {
+      callback(null);
+    });
+  }
+
+  /**
+   * To requeue the message and the broker will send the message in the future.
+   *
+   * @param {MemoryMessage} msg
+   * @param {function} [callback] Omit this to get a Promise.
+   *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is omitted.
+   * @throws {Error} Wrong arguments.
+   */
+  nack(msg, callback) {
+    if (!msg || typeof msg !== DataTypes.Object || Array.isArray(msg)) {
+      throw Error('`msg` is not an object');
+    } else if (callback === undefined) {
+      return promisify((cb) => {
+        this.nack(msg, cb);
+      });
+    } else if (typeof callback !== DataTypes.Function) {
+      throw Error('`callback` is not a function');
+    }
+
+    if (this.#inFlight.delete(msg)) {
+      this.#metrics.settled(msg, false);
+      if (msg.meta) {
+        msg.meta.queue.nack(msg.meta);
+      }
+    }
+    process.nextTick(() => {
+      callback(null);
+    });
+  }
+
+  /**
+   * To send a message to the broker.
+   *
+   * @param {Buffer} payload The raw data to be sent.
+   * @param {MessageProperties} props The message properties.
+   * @param {function} callback
+   *   @param {?Error} callback.err
+   */
+  #innerSendMsg(payload, props, callback) {
+    this.#broker.publish(this.#opts.name, this.#opts.broadcast, Buffer.from(payload), props);
+    process.nextTick(() => {
+      callback(null);
+    });
+  }
+
+  #innerConnect() {
+    if (this.#status !== Status.Connecting) {
+      return;
+    }
+
+    const broker = this.#conn.getRawConnection();
+    if (this.#conn.status() !== Status.Connected || !broker) {
+      return void this.#reconnect();
+    }
+
+    if (this.#opts.isRecv) {
+      const consumer = {
+        reliable: this.#opts.reliable,
+        prefetch: this.#opts.prefetch,
+        handler: this.#innerOnMessage.bind(this),
+      };
+      this.#subscription = broker.subscribe(this.#opts.name, this.#opts.broadcast, consumer);
+    }
+    this.#broker = broker;
+    this.#backoff.reset();
+    this.#metrics.connected();
+    this.#status = Status.Connected;
+    this.emit(Events.Status, Status.Connected);
+    if (this.#sendBuffer) {
+      this.#sendBuffer.flush();
+    }
+  }
+
+  /**
+   * Message handler. `this` is the `MemoryQueue` instance.
+   *
+   * @param {Object} delivery The delivery from the in-process broker.
+   */
+  #innerOnMessage(delivery) {
+    const handler = this.#msgHandler;
+    if (handler) {
+      const msg = {
+        payload: delivery.payload,
+        properties: delivery.props,
+        meta: delivery,
+      };
+      if (this.#envelope || this.#compressor) {
+        try {
+          if (this.#envelope) {
+            this.#envelope.open(msg);
+          }
+          if (this.#compressor) {
+            this.#compressor.decompress(msg);
+          }
+        } catch (err) {
+          // Drop the message to avoid receiving it again.
+          delivery.queue.ack(delivery);
+          return void this.emit(Events.Error, err);
+        }
+      }
+      this.#metrics.received(msg);
+      this.#inFlight.add(msg);
+      handler(this, msg);
+    }
+  }
+
+  /**
+   * To NACK the message that is not acknowledged in time and report the error with the queue name.
+   *
+   * @param {Object} msg
+   */
+  #onAckTimeout(msg) {
+    this.nack(msg, () => {});
+    const err = Error(Errors.AckTimeout);
+    err.queue = this.#opts.name;
+    this.emit(Events.Error, err);
+  }
+
+  /**
+   * To stop consuming and wait for in-flight messages to be acknowledged. Messages that are not
+   * acknowledged before the deadline are requeued.
+   *
+   * @param {number} timeoutMillis `0` to skip draining.
+   * @param {function} callback
+   */
+  #drain(timeoutMillis, callback) {
+    if (!timeoutMillis || !this.#subscription) {
+      return void callback();
+    }
+
+    const self = this;
+    this.#broker.pause(this.#subscription);
+    this.#inFlight.wait(timeoutMillis, (remains) => {
+      for (const msg of remains) {
+        self.#metrics.settled(msg, false);
+        msg.meta.queue.nack(msg.meta);
+      }
+      if (remains.length > 0) {
+        self.#logger.warn({ queue: self.#opts.name, count: remains.length }, 'drain timeout');
+      }
+      callback();
+    });
+  }
+
+  /**
+   * To release the subscription and the broker.
+   */
+  #release() {
+    this.#metrics.clearInFlight();
+    this.#inFlight.clear();
+    if (this.#subscription) {
+      this.#broker.unsubscribe(this.#subscription);
+      this.#subscription = null;
+    }
+    this.#broker = null;
+  }
+
+  /**
+   * To handle `MemoryConnection` status change events.
+   *
+   * @param {Status} status The latest status of the relative `MemoryConnection`.
+   */
+  #onConnStatusChanged(status) {
+    switch (status) {
+      case Status.Closed:
+      case Status.Closing:
+      case Status.Connecting:
+      case Status.Disconnected:
+        this.#onClose();
+        return;
+      case Status.Connected:
+        return void this.#innerConnect();
+      default:
+        return;
+    }
+  }
+
+  #onClose() {
+    this.#release();
+
+    if (
+      this.#status === Status.Closing ||
+      this.#status === Status.Closed ||
+      this.#status === Status.Connecting ||
+      this.#status === Status.Disconnected
+    ) {
+      return;
+    }
+    this.#status = Status.Connecting;
+    this.emit(Events.Status, Status.Connecting);
+    this.#reconnect();
+  }
+
+  /**
+   * To schedule the next connection attempt, or to stop with `Status.Disconnected` if there are no
+   * more attempts.
+   */
+  #reconnect() {
+    const delay = this.#backoff.next();
+    if (delay === null) {
+      if (this.#sendBuffer) {
+        this.#sendBuffer.clear(Error(Errors.ReconnectLimit));
+      }
+      this.#status = Status.Disconnected;
+      this.emit(Events.Status, Status.Disconnected);
+      return void this.emit(Events.Error, Error(Errors.ReconnectLimit));
+    }
+
+    this.#metrics.reconnect();
+    this.#logger.debug({ queue: this.#opts.name, delayMillis: delay }, 'reconnect scheduled');
+
+    const self = this;
+    setTimeout(() => {
+      self.#innerConnect();
+    }, delay);
+  }
+
+  #opts;
+  /** @type {Status} */
+  #status;
+  /** @type {MemoryConnection} */
+  #conn;
+  /** @type {Backoff} */
+  #backoff;
+  /**
+   * The listener of connection status events. It is removed when the queue is closed.
+   *
+   * @type {function}
+   */
+  #onConnStatus;
+  /**
+   * The broker that is used by the current connection.
+   *
+   * @type {?Object}
+   */
+  #broker;
+  /**
+   * The consumer subscription of the receiver.
+   *
+   * @type {?Object}
+   */
+  #subscription;
+  /** @type {InFlight} */
+  #inFlight;
+  /** @type {MemoryQueueMsgHandler} */
+  #msgHandler;
+  /** @type {?SendBuffer} */
+  #sendBuffer;
+  /** @type {?Compressor} */
+  #compressor;
+  /** @type {?Envelope} */
+  #envelope;
+  /** @type {QueueMetrics} */
+  #metrics;
+  /** @type {Logger} */
+  #logger;
+}
+
+module.exports = {
+  MemoryQueue,
+};
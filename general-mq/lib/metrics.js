@@ -0,0 +1,455 @@
+'use strict';
+
+const { DataTypes, Events, Status } = require('./constants');
+
+/** Upper bounds (in seconds) of the handler latency histogram buckets. */
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const LabelPattern = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+/** Labels that are added by `renderMetrics()`. */
+const RESERVED_LABELS = ['queue', 'role', 'le'];
+
+/**
+ * The metrics snapshot of a connection.
+ *
+ * @typedef {Object} ConnectionMetricsSnapshot
+ * @property {number} connects The number of established connections.
+ * @property {number} reconnects The number of scheduled reconnection attempts.
+ * @property {number} errors The number of error events.
+ * @property {?Date} lastConnected The last time that the connection is established.
+ */
+
+/**
+ * The handler latency histogram. Latency is the time from the message being passed to the handler
+ * to `ack()` or `nack()` being called.
+ *
+ * @typedef {Object} LatencyHistogram
+ * @property {Object[]} buckets Cumulative counts of the buckets.
+ *   @property {number} buckets.le The upper bound in seconds.
+ *   @property {number} buckets.count The number of observations that are not greater than `le`.
+ * @property {number} sum The sum of all observations in seconds.
+ * @property {number} count The number of observations.
+ */
+
+/**
+ * The metrics snapshot of a queue.
+ *
+ * @typedef {Object} QueueMetricsSnapshot
+ * @property {number} sent The number of messages that are sent successfully.
+ * @property {number} sendErrors The number of messages that fail to be sent.
+ * @property {number} received The number of messages that are passed to the message handler.
+ * @property {number} acked The number of `ack()` calls.
+ * @property {number} nacked The number of `nack()` calls.
+ * @property {number} reconnects The number of scheduled reconnection attempts.
+ * @property {number} inFlight The number of received messages that are not acknowledged.
+ * @property {?Date} lastConnected The last time that the queue is connected.
+ * @property {LatencyHistogram} handlerLatency
+ */
+
+/**
+ * Counts events of a connection.
+ *
+ * @private
+ * @class ConnectionMetrics
+ */
+class ConnectionMetrics {
+  constructor() {
+    this.#connects = 0;
+    this.#reconnects = 0;
+    this.#errors = 0;
+    this.#lastConnected = null;
+  }
+
+  /**
+   * To count an established connection.
+   */
+  connected() {
+    this.#connects++;
+    this.#lastConnected = new Date();
+  }
+
+  /**
+   * To count a scheduled reconnection attempt.
+   */
+  reconnect() {
+    this.#reconnects++;
+  }
+
+  /**
+   * To count an error event.
+   */
+  error() {
+    this.#errors++;
+  }
+
+  /**
+   * @returns {ConnectionMetricsSnapshot}
+   */
+  snapshot() {
+    return {
+      connects: this.#connects,
+      reconnects: this.#reconnects,
+      errors: this.#errors,
+      lastConnected: this.#lastConnected,
+    };
+  }
+
+  /** @type {number} */
+  #connects;
+  /** @type {number} */
+  #reconnects;
+  /** @type {number} */
+  #errors;
+  /** @type {?Date} */
+  #lastConnected;
+}
+
+/**
+ * Counts events of a queue and measures the handler latency.
+ *
+ * @private
+ * @class QueueMetrics
+ */
+class QueueMetrics {
+  constructor() {
+    this.#counters = {
+      sent: 0,
+      sendErrors: 0,
+      received: 0,
+      acked: 0,
+      nacked: 0,
+      reconnects: 0,
+    };
+    this.#lastConnected = null;
+    this.#inFlight = new Map();
+    this.#buckets = LATENCY_BUCKETS.map(() => 0);
+    this.#latencySum = 0;
+    this.#latencyCount = 0;
+  }
+
+  /**
+   * To record the time that the queue is connected.
+   */
+  connected() {
+    this.#lastConnected = new Date();
+  }
+
+  /**
+   * To count a scheduled reconnection attempt.
+   */
+  reconnect() {
+    this.#counters.reconnects++;
+  }
+
+  /**
+   * To count the result of a sent message.
+   *
+   * @param {?Error} err
+   */
+  sent(err) {
+    if (err) {
+      this.#counters.sendErrors++;
+    } else {
+      this.#counters.sent++;
+    }
+  }
+
+  /**
+   * To count a message that is passed to the message handler.
+   *
+   * @param {Object} msg The message that is passed to the message handler.
+   * @param {boolean} [inFlight=true] The message is in-flight until `ack()` or `nack()`.
+   */
+  received(msg, inFlight = true) {
+    this.#counters.received++;
+    if (inFlight) {
+      this.#inFlight.set(msg, process.hrtime.bigint());
+    }
+  }
+
+  /**
+   * To count an `ack()` or `nack()` call and observe the handler latency of the message.
+   *
+   * @param {Object} msg The message that is passed to the message handler.
+   * @param {boolean} acked `true` for `ack()` and `false` for `nack()`.
+   */
+  settled(msg, acked) {
+    if (acked) {
+      this.#counters.acked++;
+    } else {
+      this.#counters.nacked++;
+    }
+
+    const start = this.#inFlight.get(msg);
+    if (start === undefined) {
+      return;
+    }
+    this.#inFlight.delete(msg);
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    LATENCY_BUCKETS.forEach((le, i) => {
+      if (seconds <= le) {
+        this.#buckets[i]++;
+      }
+    });
+    this.#latencySum += seconds;
+    this.#latencyCount++;
+  }
+
+  /**
+   * To forget in-flight messages that cannot be acknowledged anymore, such as messages that are
+   * received before disconnection.
+   */
+  clearInFlight() {
+    this.#inFlight.clear();
+  }
+
+  /**
+   * @returns {QueueMetricsSnapshot}
+   */
+  snapshot() {
+    return {
+      ...this.#counters,
+      inFlight: this.#inFlight.size,
+      lastConnected: this.#lastConnected,
+      handlerLatency: {
+        buckets: LATENCY_BUCKETS.map((le, i) => ({ le, count: this.#buckets[i] })),
+        sum: this.#latencySum,
+        count: this.#latencyCount,
+      },
+    };
+  }
+
+  /** @type {Object.<string, number>} */
+  #counters;
+  /** @type {?Date} */
+  #lastConnected;
+  /**
+   * Start times of in-flight messages.
+   *
+   * @type {Map<Object, bigint>}
+   */
+  #inFlight;
+  /** @type {number[]} */
+  #buckets;
+  /** @type {number} */
+  #latencySum;
+  /** @type {number} */
+  #latencyCount;
+}
+
+/**
+ * Registered connections and queues with their labels and status listeners.
+ *
+ * @type {Map<Object, { labels: Object.<string, string>, onStatus: ?function }>}
+ */
+const registry = new Map();
+
+/**
+ * To register a connection or a queue to be rendered by `renderMetrics()`. Registering the same
+ * instance again replaces its labels. The target is unregistered automatically when it is closed,
+ * so register it again after reconnecting it with `connect()`.
+ *
+ * Queues are labeled with `queue` (the name) and `role` (`receiver` or `sender`) automatically. Use
+ * `labels` to distinguish connections or queues with the same name. `queue`, `role` and `le` are
+ * reserved.
+ *
+ * @param {Object} target A connection or a queue that has `metrics()` and `status()` methods.
+ * @param {Object.<string, string>} [labels] Additional Prometheus labels.
+ * @throws {Error} Wrong arguments.
+ */
+function registerMetrics(target, labels) {
+  if (
+    !target ||
+    typeof target.metrics !== DataTypes.Function ||
+    typeof target.status !== DataTypes.Function
+  ) {
+    throw Error('`target` does not have `metrics()` and `status()` methods');
+  }
+  if (labels === undefined) {
+    labels = {};
+  } else if (!labels || typeof labels !== DataTypes.Object || Array.isArray(labels)) {
+    throw Error('`labels` is not an object');
+  }
+  for (const key in labels) {
+    if (!LabelPattern.test(key) || key.startsWith('__')) {
+      throw Error(`\`labels.${key}\` is not a valid label name`);
+    } else if (RESERVED_LABELS.includes(key)) {
+      throw Error(`\`labels.${key}\` is reserved`);
+    } else if (typeof labels[key] !== DataTypes.String) {
+      throw Error(`\`labels.${key}\` is not a string`);
+    }
+  }
+
+  const entry = registry.get(target);
+  if (entry) {
+    entry.labels = { ...labels };
+    return;
+  }
+
+  let onStatus = null;
+  if (
+    typeof target.on === DataTypes.Function &&
+    typeof target.removeListener === DataTypes.Function
+  ) {
+    // Do not keep closed targets to avoid leaks.
+    onStatus = (status) => {
+      if (status === Status.Closed) {
+        unregisterMetrics(target);
+      }
+    };
+    target.on(Events.Status, onStatus);
+  }
+  registry.set(target, { labels: { ...labels }, onStatus });
+}
+
+/**
+ * To unregister a connection or a queue.
+ *
+ * @param {Object} target The registered connection or queue.
+ */
+function unregisterMetrics(target) {
+  const entry = registry.get(target);
+  if (!entry) {
+    return;
+  }
+  registry.delete(target);
+  if (entry.onStatus) {
+    target.removeListener(Events.Status, entry.onStatus);
+  }
+}
+
+/**
+ * To render metrics of all registered connections and queues in the Prometheus text exposition
+ * format.
+ *
+ * @returns {string}
+ */
+function renderMetrics() {
+  /** @type {Map<string, { type: string, help: string, samples: string[] }>} */
+  const families = new Map();
+  const add = function (name, type, help, labels, value, suffix = '') {
+    let family = families.get(name);
+    if (!family) {
+      family = { type, help, samples: [] };
+      families.set(name, family);
+    }
+    family.samples.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+  };
+
+  for (const [target, { labels: extraLabels }] of registry) {
+    const m = target.metrics();
+    const up = target.status() === Status.Connected ? 1 : 0;
+    const lastConnected = m.lastConnected ? m.lastConnected.getTime() / 1000 : 0;
+
+    if (typeof target.isRecv !== DataTypes.Function) {
+      const labels = extraLabels;
+      add('gmq_connection_up', 'gauge', 'Whether the connection is connected.', labels, up);
+      add(
+        'gmq_connection_connects_total',
+        'counter',
+        'Established connections.',
+        labels,
+        m.connects
+      );
+      add(
+        'gmq_connection_reconnects_total',
+        'counter',
+        'Scheduled reconnection attempts.',
+        labels,
+        m.reconnects
+      );
+      add('gmq_connection_errors_total', 'counter', 'Connection errors.', labels, m.errors);
+      add(
+        'gmq_connection_last_connected_timestamp_seconds',
+        'gauge',
+        'The last time that the connection is established.',
+        labels,
+        lastConnected
+      );
+      continue;
+    }
+
+    const labels = {
+      ...extraLabels,
+      queue: target.name(),
+      role: target.isRecv() ? 'receiver' : 'sender',
+    };
+    add('gmq_queue_up', 'gauge', 'Whether the queue is connected.', labels, up);
+    add('gmq_queue_sent_total', 'counter', 'Messages sent successfully.', labels, m.sent);
+    add(
+      'gmq_queue_send_errors_total',
+      'counter',
+      'Messages failed to be sent.',
+      labels,
+      m.sendErrors
+    );
+    add('gmq_queue_received_total', 'counter', 'Messages received.', labels, m.received);
+    add('gmq_queue_acked_total', 'counter', 'Acknowledged messages.', labels, m.acked);
+    add('gmq_queue_nacked_total', 'counter', 'Negatively acknowledged messages.', labels, m.nacked);
+    add(
+      'gmq_queue_reconnects_total',
+      'counter',
+      'Scheduled reconnection attempts.',
+      labels,
+      m.reconnects
+    );
+    add('gmq_queue_in_flight', 'gauge', 'Unacknowledged received messages.', labels, m.inFlight);
+    add(
+      'gmq_queue_last_connected_timestamp_seconds',
+      'gauge',
+      'The last time that the queue is connected.',
+      labels,
+      lastConnected
+    );
+
+    const name = 'gmq_queue_handler_duration_seconds';
+    const help = 'Time from receiving a message to acknowledgement.';
+    const latency = m.handlerLatency;
+    for (const bucket of latency.buckets) {
+      add(name, 'histogram', help, { ...labels, le: `${bucket.le}` }, bucket.count, '_bucket');
+    }
+    add(name, 'histogram', help, { ...labels, le: '+Inf' }, latency.count, '_bucket');
+    add(name, 'histogram', help, labels, latency.sum, '_sum');
+    add(name, 'histogram', help, labels, latency.count, '_count');
+  }
+
+  let text = '';
+  for (const [name, family] of families) {
+    text += `# HELP ${name} ${family.help}\n`;
+    text += `# TYPE ${name} ${family.type}\n`;
+    text += family.samples.map((sample) => `${sample}\n`).join('');
+  }
+  return text;
+}
+
+/**
+ * @param {Object.<string, string>} labels
+ * @returns {string} Labels in `{key="value",...}` format or an empty string.
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map((key) => {
+    const value = labels[key].replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `${key}="${value}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  } else if (!Number.isFinite(value)) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return `${value}`;
+}
+
+module.exports = {
+  ConnectionMetrics,
+  QueueMetrics,
+  registerMetrics,
+  renderMetrics,
+  unregisterMetrics,
+};
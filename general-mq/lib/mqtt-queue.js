@@ -3,9 +3,29 @@
 const { EventEmitter } = require('events');
 
 const { MqttConnection } = require('./mqtt-connection');
-const { DataTypes, Errors, Events, QueuePattern, Status } = require('./constants');
+const { Backoff, newBackoff } = require('./backoff');
+const { Compressor, newCompressor } = require('./compression');
+const { Compression, DataTypes, Errors, Events, QueuePattern, Status } = require('./constants');
+const { CloseOptions, InFlight, toDrainTimeout } = require('./drain');
+const { Envelope, KeyRing, newEnvelope } = require('./envelope');
+const { Logger, logEvent, toLogger } = require('./logger');
+const { QueueMetrics, QueueMetricsSnapshot } = require('./metrics');
+const { SendBuffer, newSendBuffer } = require('./send-buffer');
+const { MessageIterator, QueueWritable } = require('./stream');
+const { MessageProperties, promisify, toMsgProps, waitConnected } = require('./utils');
 
 const DEF_RECONN = 1000;
+const DEF_NACK_DELAY = 100;
+const MAX_MSG_EXPIRY = 0xffffffff;
+
+/**
+ * MQTT 5 user property keys for `MessageProperties` fields which have no MQTT equivalents.
+ */
+const UserPropKeys = {
+  ContentEncoding: 'content-encoding',
+  MessageId: 'message-id',
+  Timestamp: 'timestamp',
+};
 
 /**
  * Queue error event.
@@ -26,6 +46,8 @@ const DEF_RECONN = 1000;
  *
  * @typedef {Object} MqttMessage
  * @property {Buffer} payload The message payload.
+ * @property {MessageProperties} properties The message properties. Always empty for MQTT 3.1.1.
+ * @property {mqtt.IPublishPacket} meta The raw packet for acknowledgement.
  */
 
 /**
@@ -54,7 +76,49 @@ class MqttQueue extends EventEmitter {
    *   @param {boolean} opts.broadcast `true` for broadcast and `false` for unicast.
    *   @param {number} [opts.reconnectMillis=1000] Time in milliseconds from disconnection to
    *          reconnection.
+   *   @param {number} [opts.reconnectMultiplier=1] The multiplier of the reconnection delay for
+   *          each failed attempt. `1` means using `reconnectMillis` for all attempts.
+   *   @param {number} [opts.reconnectMaxMillis=60000] The maximum reconnection delay.
+   *   @param {number} [opts.reconnectJitter=0] The ratio (0~1) of the reconnection delay to be
+   *          reduced randomly.
+   *   @param {number} [opts.reconnectMaxAttempts=0] The maximum number of reconnection attempts.
+   *          The queue reports `Status.Disconnected` and an error when attempts are exceeded. `0`
+   *          means no limit.
    *   @param {string} [opts.sharedPrefix] OPTIONAL when `isRecv=true`. This is used for unicast.
+   *   @param {number} [opts.prefetch] OPTIONAL when `isRecv=true` and `reliable=true`. The maximum
+   *          number of unacknowledged messages in the handler. Other messages are buffered until
+   *          previous messages are acknowledged. Default is unlimited. Messages of unreliable
+   *          receivers (QoS 0) are not limited. Use `receiveMaximum` of MQTT 5 connections to limit
+   *          the buffered messages.
+   *   @param {number} [opts.nackDelayMillis=100] (receivers only) The delay in milliseconds to
+   *          send NACK-ed messages to the handler again.
+   *   @param {number} [opts.ackTimeoutMillis=0] (receivers only) The time in milliseconds for
+   *          the handler to acknowledge each message. Messages that are not acknowledged in time
+   *          are NACK-ed (so they are sent to the handler again) with an `Errors.AckTimeout` error
+   *          event. `0` means no timeout.
+   *   @param {number} [opts.messageExpiryInterval] (MQTT 5 only) The message expiry interval in
+   *          seconds for sent messages. The broker discards messages that are not delivered in
+   *          time. Default never expires.
+   *   @param {boolean} [opts.retain=false] (senders only) To send messages with the retain flag.
+   *          The broker keeps the last retained message of the topic and sends it to new
+   *          subscribers.
+   *   @param {number} [opts.bufferMaxCount] The maximum number of messages that `sendMsg()`
+   *          buffers while the queue is connecting. Buffered messages are sent in order after the
+   *          queue is connected. Default does not buffer messages.
+   *   @param {number} [opts.bufferMaxBytes] The maximum total payload bytes of buffered messages.
+   *   @param {SendBufferOverflow} [opts.bufferOverflow='reject'] The policy when the buffer is full.
+   *   @param {Compression} [opts.compression] Senders compress payloads with the algorithm and
+   *          receivers decompress payloads of all supported algorithms. MQTT 5 only.
+   *   @param {number} [opts.compressionThreshold=1024] The minimum payload size in bytes to be
+   *          compressed.
+   *   @param {number} [opts.maxDecompressedBytes=67108864] Receivers reject messages that are
+   *          larger than this size in bytes after decompression.
+   *   @param {Object} [opts.envelope] To sign and/or encrypt payloads. Receivers verify payloads and
+   *          reject messages that fail verification with an error event.
+   *     @param {KeyRing} opts.envelope.keyRing The keys. Senders use the current key.
+   *     @param {boolean} [opts.envelope.sign=true] To sign payloads with HMAC-SHA256.
+   *     @param {boolean} [opts.envelope.encrypt=true] To encrypt payloads with AES-256-GCM.
+   *   @param {Logger} [opts.logger] The structured logger. Default does not log.
    * @param {MqttConnection} conn The MQTT connection.
    * @throws {Error} Wrong arguments.
    */
@@ -78,12 +142,40 @@ class MqttQueue extends EventEmitter {
       (!opts.sharedPrefix || typeof opts.sharedPrefix !== DataTypes.String)
     ) {
       throw Error('`sharedPrefix` must be a string');
+    } else if (
+      opts.prefetch !== undefined &&
+      (!Number.isInteger(opts.prefetch) || opts.prefetch <= 0 || opts.prefetch > 65535)
+    ) {
+      throw Error('`prefetch` must be a positive integer between 1 to 65535');
     }
     if (
       opts.reconnectMillis !== undefined &&
       (!Number.isInteger(opts.reconnectMillis) || opts.reconnectMillis < 0)
     ) {
       throw Error('`reconnectMillis` must be a positive integer');
+    } else if (
+      opts.ackTimeoutMillis !== undefined &&
+      (!Number.isInteger(opts.ackTimeoutMillis) || opts.ackTimeoutMillis < 0)
+    ) {
+      throw Error('`ackTimeoutMillis` must be a non-negative integer');
+    } else if (
+      opts.nackDelayMillis !== undefined &&
+      (!Number.isInteger(opts.nackDelayMillis) || opts.nackDelayMillis < 0)
+    ) {
+      throw Error('`nackDelayMillis` must be a non-negative integer');
+    } else if (opts.messageExpiryInterval !== undefined) {
+      if (
+        !Number.isInteger(opts.messageExpiryInterval) ||
+        opts.messageExpiryInterval < 0 ||
+        opts.messageExpiryInterval > MAX_MSG_EXPIRY
+      ) {
+        throw Error('`messageExpiryInterval` must be a 32-bit unsigned integer');
+      } else if (conn.protocolVersion() !== 5) {
+        throw Error('`messageExpiryInterval` requires an MQTT 5 connection');
+      }
+    }
+    if (opts.retain !== undefined && typeof opts.retain !== DataTypes.Boolean) {
+      throw Error('`retain` is not boolean');
     }
 
     this.#opts = {
@@ -92,14 +184,34 @@ class MqttQueue extends EventEmitter {
       reliable: opts.reliable,
       broadcast: opts.broadcast,
       reconnectMillis: opts.reconnectMillis || DEF_RECONN,
-      sharedPrefix: opts.sharedPrefix,
+      sharedPrefix: opts.sharedPrefix || '',
+      prefetch: opts.prefetch || Infinity,
+      nackDelayMillis: opts.nackDelayMillis === undefined ? DEF_NACK_DELAY : opts.nackDelayMillis,
+      messageExpiryInterval: opts.messageExpiryInterval,
+      retain: opts.retain || false,
     };
     this.#status = Status.Closed;
     this.#conn = conn;
     this.#connProcessing = false;
+    this.#backoff = newBackoff(opts, this.#opts.reconnectMillis);
     this.#msgHandler = null;
+    this.#metrics = new QueueMetrics();
+    this.#logger = toLogger(opts.logger);
+    this.#sendBuffer = newSendBuffer(
+      opts,
+      this.#innerSendMsg.bind(this),
+      () => this.#status === Status.Connected
+    );
+    this.#compressor = newCompressor(opts);
+    this.#envelope = newEnvelope(opts);
+    if (this.#compressor && conn.protocolVersion() !== 5) {
+      throw Error('`compression` requires MQTT 5 connections');
+    }
+    this.#waitingMsgs = [];
+    this.#inFlightMsgs = new InFlight(opts.ackTimeoutMillis, this.#onAckTimeout.bind(this));
+    this.#dispatching = false;
 
-    this.#conn.on(Events.Status, this.#onConnStatusChanged.bind(this));
+    this.#onConnStatus = this.#onConnStatusChanged.bind(this);
   }
 
   /**
@@ -129,6 +241,32 @@ class MqttQueue extends EventEmitter {
     return this.#status;
   }
 
+  /**
+   * To get the metrics snapshot of the queue.
+   *
+   * @returns {QueueMetricsSnapshot}
+   */
+  metrics() {
+    return this.#metrics.snapshot();
+  }
+
+  /**
+   * To log events with the logger before emitting them. Error events without listeners are only
+   * logged, so errors of received messages do not throw from the broker callback.
+   *
+   * @private
+   * @param {string} event
+   * @param {...*} args
+   * @returns {boolean}
+   */
+  emit(event, ...args) {
+    logEvent(this.#logger, { queue: this.#opts.name }, event, args);
+    if (event === Events.Error && this.listenerCount(Events.Error) === 0) {
+      return false;
+    }
+    return super.emit(event, ...args);
+  }
+
   /**
    * Set the message handler.
    *
@@ -143,19 +281,48 @@ class MqttQueue extends EventEmitter {
     this.#msgHandler = handler;
   }
 
+  /**
+   * To receive messages with `for await`. This replaces the message handler, so call this before
+   * `connect()`. Call `ack()` or `nack()` for each message.
+   *
+   * @returns {MessageIterator}
+   * @throws {Error} The queue is not a receiver.
+   */
+  messages() {
+    return new MessageIterator(this);
+  }
+
   /**
    * To connect to the message queue. The `MqttQueue` will report status with Status.
    *
-   * @throws {Error} Wrong usage.
+   * The returned Promise is resolved when the queue reports `Status.Connected` for the first time,
+   * or is rejected with `Errors.ConnectTimeout` when it does not connect in time. The queue keeps
+   * retrying in the background after the timeout.
+   *
+   * @param {number} [timeoutMillis=0] Time in milliseconds to wait for the connected status. `0`
+   *        means waiting without time limit.
+   * @returns {Promise<void>}
+   * @throws {Error} Wrong arguments or usage.
    */
-  connect() {
+  connect(timeoutMillis) {
     if (this.#opts.isRecv && !this.#msgHandler) {
       throw Error(Errors.NoMsgHandler);
+    } else if (
+      timeoutMillis !== undefined &&
+      (!Number.isInteger(timeoutMillis) || timeoutMillis < 0)
+    ) {
+      throw Error('`timeoutMillis` is not a positive integer');
     }
 
-    if (this.#status !== Status.Closed && this.#status !== Status.Closing) {
-      return;
+    const p = waitConnected(this, timeoutMillis || 0);
+    if (
+      this.#status !== Status.Closed &&
+      this.#status !== Status.Closing &&
+      this.#status !== Status.Disconnected
+    ) {
+      return p;
     }
+    this.#backoff.reset();
 
     if (this.#opts.isRecv) {
       this.#conn.addPacketHandler(
@@ -165,51 +332,83 @@ class MqttQueue extends EventEmitter {
         this.#innerOnMessage.bind(this)
       );
     }
+    // Listen to the connection only while the queue is in use, so closed queues can be released.
+    this.#conn.removeListener(Events.Status, this.#onConnStatus);
+    this.#conn.on(Events.Status, this.#onConnStatus);
     this.#status = Status.Connecting;
     this.emit(Events.Status, Status.Connecting);
 
     this.#innerConnect();
+    return p;
   }
 
   /**
-   * To close the queue. You can use a callback function to get the result or listen events.
+   * To close the queue. You can use a callback function or the returned Promise to get the result
+   * or listen events.
    *
+   * With `drainTimeoutMillis`, the receiver unsubscribes the topic and waits for in-flight messages
+   * to be acknowledged. Messages that are not acknowledged before the deadline are not
+   * acknowledged, and the broker sends them again if the session is persistent.
+   *
+   * @param {CloseOptions} [opts]
    * @param {function} [callback]
    *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is not a function.
+   * @throws {Error} Wrong arguments.
    */
-  close(callback) {
+  close(opts, callback) {
+    if (typeof opts === DataTypes.Function) {
+      callback = opts;
+      opts = undefined;
+    }
+    const drainTimeoutMillis = toDrainTimeout(opts);
     if (typeof callback !== DataTypes.Function) {
-      callback = null;
+      return promisify((cb) => {
+        this.close(opts, cb);
+      });
     }
 
-    if (
-      this.#status === Status.Closing ||
-      this.#status === Status.Closed ||
-      !this.#conn.getRawConnection()
-    ) {
-      if (callback) {
-        return void process.nextTick(() => {
-          callback(null);
-        });
-      }
-      return;
+    if (this.#sendBuffer) {
+      this.#sendBuffer.clear(Error(Errors.NotConnected));
     }
+    this.#conn.removeListener(Events.Status, this.#onConnStatus);
 
+    if (this.#status === Status.Closing || this.#status === Status.Closed) {
+      return void process.nextTick(() => {
+        callback(null);
+      });
+    }
     const rawConn = this.#conn.getRawConnection();
+    if (!rawConn) {
+      if (this.#opts.isRecv) {
+        this.#conn.removePacketHandler(this.#opts.name);
+      }
+      this.#clearMsgs();
+      this.#status = Status.Closed;
+      this.emit(Events.Status, Status.Closed);
+      return void process.nextTick(() => {
+        callback(null);
+      });
+    }
+
     this.#status = Status.Closing;
     this.emit(Events.Status, Status.Closing);
+    if (!drainTimeoutMillis || !this.#opts.isRecv) {
+      this.#clearMsgs();
+    }
     const self = this;
     rawConn.unsubscribe(this.#topic(), (err) => {
-      if (self.#opts.isRecv) {
-        self.#conn.removePacketHandler(self.#opts.name);
-      }
-      self.#status = Status.Closed;
-      self.emit(Events.Status, Status.Closed);
-      if (callback) {
-        return void process.nextTick(() => {
-          callback(err);
+      self.#drain(drainTimeoutMillis, () => {
+        self.#clearMsgs();
+        if (self.#opts.isRecv) {
+          self.#conn.removePacketHandler(self.#opts.name);
+        }
+        self.#status = Status.Closed;
+        self.emit(Events.Status, Status.Closed);
+        process.nextTick(() => {
+          callback(err || null);
         });
-      }
+      });
     });
   }
 
@@ -217,16 +416,40 @@ class MqttQueue extends EventEmitter {
    * To send a message (for senders only).
    *
    * @param {Buffer} payload The raw data to be sent.
-   * @param {function} callback
+   * @param {MessageProperties} [props] The message properties.
+   * @param {function} [callback] Omit this to get a Promise.
    *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is omitted.
    * @throws {Error} Wrong arguments.
    */
-  sendMsg(payload, callback) {
+  sendMsg(payload, props, callback) {
+    if (typeof props === DataTypes.Function) {
+      callback = props;
+      props = undefined;
+    }
+
     if (!(payload instanceof Buffer)) {
       throw Error('`payload` is not a Buffer');
+    }
+    props = toMsgProps(props);
+    if (callback === undefined) {
+      return promisify((cb) => {
+        this.sendMsg(payload, props, cb);
+      });
     } else if (typeof callback !== DataTypes.Function) {
       throw Error('`callback` is not a function');
-    } else if (this.#status !== Status.Connected) {
+    }
+
+    const metrics = this.#metrics;
+    const done = callback;
+    callback = function (err) {
+      metrics.sent(err);
+      done(err);
+    };
+    if (
+      this.#status !== Status.Connected &&
+      !(this.#sendBuffer && this.#status === Status.Connecting)
+    ) {
       return void process.nextTick(() => {
         callback(Error(Errors.NotConnected));
       });
@@ -237,29 +460,72 @@ class MqttQueue extends EventEmitter {
       });
     }
 
-    const rawConn = this.#conn.getRawConnection();
-    const opts = {
-      qos: this.#opts.reliable ? 1 : 0,
-    };
-    rawConn.publish(this.#topic(), payload, opts, (err) => {
-      callback(err);
-    });
+    if (this.#compressor || this.#envelope) {
+      try {
+        if (this.#compressor) {
+          ({ payload, props } = this.#compressor.compress(payload, props));
+        }
+        if (this.#envelope) {
+          payload = this.#envelope.seal(payload);
+        }
+      } catch (err) {
+        return void process.nextTick(() => {
+          callback(err);
+        });
+      }
+    }
+    if (this.#sendBuffer && (this.#status !== Status.Connected || this.#sendBuffer.length() > 0)) {
+      return void this.#sendBuffer.push(payload, props, callback);
+    }
+    this.#innerSendMsg(payload, props, callback);
+  }
+
+  /**
+   * To get a `Writable` stream (object mode) that sends written chunks (for senders only). Chunks
+   * are Buffers, strings or `{ payload, props }` objects.
+   *
+   * @param {Object} [opts]
+   *   @param {number} [opts.highWaterMark=16] The number of messages to buffer in the stream.
+   * @returns {QueueWritable}
+   * @throws {Error} Wrong arguments or the queue is not a sender.
+   */
+  writable(opts) {
+    return new QueueWritable(this, opts);
   }
 
   /**
    * Use this if the message is processed successfully.
    *
+   * For reliable receivers, the broker receives the PUBACK packet after calling this method.
+   *
    * @param {MqttMessage} msg
-   * @param {function} callback
+   * @param {function} [callback] Omit this to get a Promise.
    *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is omitted.
+   * @throws {Error} Wrong arguments.
    */
   ack(msg, callback) {
     if (!msg || typeof msg !== DataTypes.Object || Array.isArray(msg)) {
       throw Error('`msg` is not an object');
+    } else if (callback === undefined) {
+      return promisify((cb) => {
+        this.ack(msg, cb);
+      });
     } else if (typeof callback !== DataTypes.Function) {
       throw Error('`callback` is not a function');
     }
 
+    // Skip QoS 1 messages that have been settled, such as NACK-ed by the acknowledgement timeout.
+    const inFlight = this.#inFlightMsgs.delete(msg);
+    if (inFlight || !msg.meta || !msg.meta.qos) {
+      this.#metrics.settled(msg, true);
+      if (msg.meta) {
+        this.#conn.ackPacket(msg.meta);
+      }
+    }
+    if (inFlight) {
+      this.#dispatchMsgs();
+    }
     process.nextTick(() => {
       callback(null);
     });
@@ -268,22 +534,76 @@ class MqttQueue extends EventEmitter {
   /**
    * To requeue the message and the broker will send the message in the future.
    *
+   * MQTT has no negative acknowledgement, so reliable receivers keep the message unacknowledged and
+   * deliver it to the handler again after `nackDelayMillis`. If the connection is lost before `ack()`, the broker sends
+   * the message again after reconnection when the session is persistent (`cleanSession=false`).
+   *
    * @param {MqttMessage} msg
-   * @param {function} callback
+   * @param {function} [callback] Omit this to get a Promise.
    *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is omitted.
+   * @throws {Error} Wrong arguments.
    */
   nack(msg, callback) {
     if (!msg || typeof msg !== DataTypes.Object || Array.isArray(msg)) {
       throw Error('`msg` is not an object');
+    } else if (callback === undefined) {
+      return promisify((cb) => {
+        this.nack(msg, cb);
+      });
     } else if (typeof callback !== DataTypes.Function) {
       throw Error('`callback` is not a function');
     }
 
+    if (this.#inFlightMsgs.delete(msg)) {
+      this.#metrics.settled(msg, false);
+      // Delay to avoid busy loops of handlers that NACK messages immediately.
+      const self = this;
+      setTimeout(() => {
+        if (self.#status !== Status.Connected) {
+          return;
+        }
+        self.#waitingMsgs.unshift(msg);
+        self.#dispatchMsgs();
+      }, this.#opts.nackDelayMillis);
+      // Dispatch other waiting messages with the released slot.
+      this.#dispatchMsgs();
+    } else if (!msg.meta || !msg.meta.qos) {
+      this.#metrics.settled(msg, false);
+    }
     process.nextTick(() => {
       callback(null);
     });
   }
 
+  /**
+   * To send a message to the broker.
+   *
+   * @param {Buffer} payload The raw data to be sent.
+   * @param {MessageProperties} props The message properties.
+   * @param {function} callback
+   *   @param {?Error} callback.err
+   */
+  #innerSendMsg(payload, props, callback) {
+    const rawConn = this.#conn.getRawConnection();
+    const opts = {
+      qos: this.#opts.reliable ? 1 : 0,
+      retain: this.#opts.retain,
+    };
+    if (this.#conn.protocolVersion() === 5) {
+      const properties = toMqttProperties(props);
+      if (this.#opts.messageExpiryInterval !== undefined) {
+        properties.messageExpiryInterval = this.#opts.messageExpiryInterval;
+      }
+      if (Object.keys(properties).length > 0) {
+        opts.properties = properties;
+      }
+    }
+    rawConn.publish(this.#topic(), payload, opts, (err) => {
+      callback(err);
+    });
+  }
+
   #innerConnect() {
     if (this.#status !== Status.Connecting || this.#connProcessing) {
       return;
@@ -292,24 +612,26 @@ class MqttQueue extends EventEmitter {
 
     const self = this;
 
+    // Wait for the connection with backoff and count attempts.
     if (this.#conn.status() !== Status.Connected) {
       this.#connProcessing = false;
-      return void setTimeout(() => {
-        self.#innerConnect();
-      }, this.#opts.reconnectMillis);
+      return void this.#reconnect();
     }
     const rawConn = this.#conn.getRawConnection();
     if (!rawConn) {
       this.#connProcessing = false;
-      return void setTimeout(() => {
-        self.#innerConnect();
-      }, this.#opts.reconnectMillis);
+      return void this.#reconnect();
     }
 
     if (!this.#opts.isRecv) {
       this.#connProcessing = false;
+      this.#backoff.reset();
+      this.#metrics.connected();
       this.#status = Status.Connected;
       this.emit(Events.Status, Status.Connected);
+      if (this.#sendBuffer) {
+        this.#sendBuffer.flush();
+      }
       return;
     }
 
@@ -319,30 +641,157 @@ class MqttQueue extends EventEmitter {
     rawConn.subscribe(this.#topic(), opts, (err) => {
       self.#connProcessing = false;
       if (err) {
-        return void setTimeout(() => {
-          self.#innerConnect();
-        }, self.#opts.reconnectMillis);
+        self.#logger.warn({ queue: self.#opts.name, err }, 'subscribe failed');
+        return void self.#reconnect();
       }
 
+      self.#backoff.reset();
+      self.#metrics.connected();
       self.#status = Status.Connected;
       self.emit(Events.Status, Status.Connected);
+      if (self.#sendBuffer) {
+        self.#sendBuffer.flush();
+      }
     });
   }
 
+  /**
+   * To schedule the next connection attempt, or to stop with `Status.Disconnected` if there are no
+   * more attempts.
+   */
+  #reconnect() {
+    const delay = this.#backoff.next();
+    if (delay === null) {
+      if (this.#sendBuffer) {
+        this.#sendBuffer.clear(Error(Errors.ReconnectLimit));
+      }
+      this.#status = Status.Disconnected;
+      this.emit(Events.Status, Status.Disconnected);
+      return void this.emit(Events.Error, Error(Errors.ReconnectLimit));
+    }
+
+    this.#metrics.reconnect();
+    this.#logger.debug({ queue: this.#opts.name, delayMillis: delay }, 'reconnect scheduled');
+
+    const self = this;
+    setTimeout(() => {
+      self.#innerConnect();
+    }, delay);
+  }
+
   /**
    * Message handler. `this` is the `MqttQueue` instance.
    *
    * @param {Buffer} payload The message payload.
+   * @param {mqtt.IPublishPacket} [packet] The raw packet.
    */
-  #innerOnMessage(payload) {
+  #innerOnMessage(payload, packet) {
+    const msg = {
+      payload,
+      properties: fromMqttProperties(packet && packet.properties),
+      meta: packet,
+    };
+    if (this.#envelope || this.#compressor) {
+      try {
+        if (this.#envelope) {
+          this.#envelope.open(msg);
+        }
+        if (this.#compressor) {
+          this.#compressor.decompress(msg);
+        }
+      } catch (err) {
+        // MQTT cannot reject messages, so drop the message to avoid receiving it again.
+        if (packet && this.#conn.isPendingPacket(packet)) {
+          this.#conn.ackPacket(packet);
+        }
+        return void this.emit(Events.Error, err);
+      }
+    }
+    if (packet && this.#conn.isPendingPacket(packet)) {
+      this.#waitingMsgs.push(msg);
+      return void this.#dispatchMsgs();
+    }
+
     const handler = this.#msgHandler;
     if (handler) {
-      handler(this, {
-        payload,
-      });
+      // Messages without acknowledgement are not counted as in-flight.
+      this.#metrics.received(msg, false);
+      handler(this, msg);
     }
   }
 
+  /**
+   * To send waiting messages that need acknowledgement to the handler within the prefetch limit.
+   */
+  #dispatchMsgs() {
+    // Stop dispatching while draining.
+    if (this.#dispatching || this.#status === Status.Closing) {
+      return;
+    }
+    this.#dispatching = true;
+    while (this.#waitingMsgs.length > 0 && this.#inFlightMsgs.size() < this.#opts.prefetch) {
+      const handler = this.#msgHandler;
+      if (!handler) {
+        break;
+      }
+      const msg = this.#waitingMsgs.shift();
+      // Skip messages that were received before reconnection.
+      if (!this.#conn.isPendingPacket(msg.meta)) {
+        continue;
+      }
+      this.#inFlightMsgs.add(msg);
+      this.#metrics.received(msg);
+      handler(this, msg);
+    }
+    this.#dispatching = false;
+  }
+
+  /**
+   * To NACK the message that is not acknowledged in time and report the error with the queue name.
+   *
+   * @param {Object} msg
+   */
+  #onAckTimeout(msg) {
+    this.nack(msg, () => {});
+    const err = Error(Errors.AckTimeout);
+    err.queue = this.#opts.name;
+    this.emit(Events.Error, err);
+  }
+
+  /**
+   * To wait for in-flight messages to be acknowledged. Waiting messages are not sent to the handler
+   * anymore.
+   *
+   * @param {number} timeoutMillis `0` to skip draining.
+   * @param {function} callback
+   */
+  #drain(timeoutMillis, callback) {
+    if (!timeoutMillis) {
+      return void callback();
+    }
+
+    const self = this;
+    this.#inFlightMsgs.wait(timeoutMillis, (remains) => {
+      for (const msg of remains) {
+        self.#metrics.settled(msg, false);
+      }
+      if (remains.length > 0) {
+        self.#logger.warn({ queue: self.#opts.name, count: remains.length }, 'drain timeout');
+      }
+      callback();
+    });
+  }
+
+  /**
+   * To clear waiting and in-flight messages. The broker will send unacknowledged messages again if
+   * the session is persistent.
+   */
+  #clearMsgs() {
+    this.#waitingMsgs = [];
+    this.#inFlightMsgs.clear();
+    this.#metrics.clearInFlight();
+  }
+
   /**
    * To get the associated topic.
    *
@@ -366,19 +815,18 @@ class MqttQueue extends EventEmitter {
       case Status.Closing:
       case Status.Connecting:
       case Status.Disconnected:
+        this.#clearMsgs();
         if (
           this.#status === Status.Closing ||
           this.#status === Status.Closed ||
-          this.#status === Status.Connecting
+          this.#status === Status.Connecting ||
+          this.#status === Status.Disconnected
         ) {
           return;
         }
         this.#status = Status.Connecting;
         this.emit(Events.Status, Status.Connecting);
-        const self = this;
-        setTimeout(() => {
-          self.#innerConnect();
-        }, this.#opts.reconnectMillis);
+        this.#reconnect();
         return;
       case Status.Connected:
         return void this.#innerConnect();
@@ -392,14 +840,133 @@ class MqttQueue extends EventEmitter {
   #status;
   /** @type {MqttConnection} */
   #conn;
+  /**
+   * The listener of connection status events. It is removed when the queue is closed.
+   *
+   * @type {function}
+   */
+  #onConnStatus;
   /**
    * Processing `#innerConnect`.
    *
    * @type {boolean}
    */
   #connProcessing;
+  /** @type {Backoff} */
+  #backoff;
   /** @type {MqttQueueMsgHandler} */
   #msgHandler;
+  /** @type {?SendBuffer} */
+  #sendBuffer;
+  /** @type {?Compressor} */
+  #compressor;
+  /** @type {?Envelope} */
+  #envelope;
+  /** @type {QueueMetrics} */
+  #metrics;
+  /** @type {Logger} */
+  #logger;
+  /**
+   * Received messages that wait for the handler.
+   *
+   * @type {MqttMessage[]}
+   */
+  #waitingMsgs;
+  /**
+   * Messages that are sent to the handler and not acknowledged.
+   *
+   * @type {InFlight}
+   */
+  #inFlightMsgs;
+  /**
+   * Processing `#dispatchMsgs`.
+   *
+   * @type {boolean}
+   */
+  #dispatching;
+}
+
+/**
+ * To convert `MessageProperties` to MQTT 5 publish properties.
+ *
+ * @param {MessageProperties} props
+ * @returns {Object} The publish properties.
+ */
+function toMqttProperties(props) {
+  const userProperties = { ...props.headers };
+  if (props.contentEncoding !== undefined) {
+    userProperties[UserPropKeys.ContentEncoding] = props.contentEncoding;
+  }
+  if (props.messageId !== undefined) {
+    userProperties[UserPropKeys.MessageId] = props.messageId;
+  }
+  if (props.timestamp !== undefined) {
+    userProperties[UserPropKeys.Timestamp] = `${props.timestamp.getTime()}`;
+  }
+
+  const properties = {};
+  if (props.contentType !== undefined) {
+    properties.contentType = props.contentType;
+  }
+  if (props.replyTo !== undefined) {
+    properties.responseTopic = props.replyTo;
+  }
+  if (props.correlationId !== undefined) {
+    properties.correlationData = Buffer.from(props.correlationId);
+  }
+  if (Object.keys(userProperties).length > 0) {
+    properties.userProperties = userProperties;
+  }
+  return properties;
+}
+
+/**
+ * To convert MQTT 5 publish properties to `MessageProperties`.
+ *
+ * @param {Object} [properties] The properties of the publish packet.
+ * @returns {MessageProperties}
+ */
+function fromMqttProperties(properties) {
+  const props = {};
+  if (!properties) {
+    return props;
+  }
+  if (typeof properties.contentType === DataTypes.String) {
+    props.contentType = properties.contentType;
+  }
+  if (typeof properties.responseTopic === DataTypes.String) {
+    props.replyTo = properties.responseTopic;
+  }
+  if (properties.correlationData instanceof Buffer) {
+    props.correlationId = properties.correlationData.toString();
+  }
+
+  const headers = {};
+  for (const key in properties.userProperties || {}) {
+    let value = properties.userProperties[key];
+    // Use the last value for duplicate keys.
+    value = Array.isArray(value) ? value[value.length - 1] : value;
+    switch (key) {
+      case UserPropKeys.ContentEncoding:
+        props.contentEncoding = value;
+        break;
+      case UserPropKeys.MessageId:
+        props.messageId = value;
+        break;
+      case UserPropKeys.Timestamp:
+        if (!isNaN(parseInt(value))) {
+          props.timestamp = new Date(parseInt(value));
+        }
+        break;
+      default:
+        headers[key] = value;
+        break;
+    }
+  }
+  if (Object.keys(headers).length > 0) {
+    props.headers = headers;
+  }
+  return props;
 }
 
 module.exports = {
@@ -0,0 +1,726 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+const { EventEmitter } = require('events');
+
+const async = require('async');
+const randomstring = require('randomstring');
+
+const { AmqpConnection } = require('./amqp-connection');
+const { AmqpQueue } = require('./amqp-queue');
+const { DataTypes, Errors, Events, QueuePattern, Status } = require('./constants');
+const { MemoryConnection } = require('./memory-connection');
+const { MemoryQueue } = require('./memory-queue');
+const { MqttConnection } = require('./mqtt-connection');
+const { MqttQueue } = require('./mqtt-queue');
+const { MessageProperties, promisify, toMsgProps } = require('./utils');
+
+const DEF_PREFETCH = 100;
+const DEF_TIMEOUT = 10000;
+/** The header of replies that contains the error message of the handler. */
+const ERROR_HEADER = 'rpc-error';
+/** The maximum number of cached sender queues. */
+const MAX_SENDERS = 100;
+/** The maximum number of messages that a sender queue buffers while connecting. */
+const SENDER_BUFFER = 1000;
+
+/**
+ * The RPC request or reply.
+ *
+ * @typedef {Object} RpcMessage
+ * @property {Buffer} payload The message payload.
+ * @property {MessageProperties} properties The message properties.
+ */
+
+/**
+ * RPC request handler. Use `respond` or return a Promise that is resolved with the reply payload to
+ * reply the request. Errors are sent to the caller as rejections with the error message.
+ *
+ * @callback RpcHandler
+ * @param {RpcMessage} req The request.
+ * @param {function} respond
+ *   @param {?Error} respond.err
+ *   @param {Buffer} [respond.payload] The reply payload.
+ *   @param {MessageProperties} [respond.props] The reply properties.
+ * @returns {?Promise<Buffer>}
+ */
+
+/**
+ * Keeps connected sender queues by names. The least recently used queue without pending sends is
+ * closed when there are too many queues, so buffered messages are not dropped.
+ *
+ * @private
+ * @class SenderPool
+ */
+class SenderPool {
+  /**
+   * @constructor
+   * @param {function} Queue The queue class.
+   * @param {Object} conn The connection of queues.
+   * @param {Object} opts
+   *   @param {boolean} opts.broadcast
+   *   @param {number} [opts.reconnectMillis]
+   * @param {EventEmitter} emitter The emitter to forward error events of queues.
+   */
+  constructor(Queue, conn, opts, emitter) {
+    this.#Queue = Queue;
+    this.#conn = conn;
+    this.#opts = opts;
+    this.#emitter = emitter;
+    this.#queues = new Map();
+    this.#pending = new Map();
+  }
+
+  /**
+   * To send a message with the sender queue of the name. Messages are buffered while the queue is
+   * connecting.
+   *
+   * @param {string} name
+   * @param {Buffer} payload
+   * @param {MessageProperties} props
+   * @param {function} callback
+   *   @param {?Error} callback.err
+   * @throws {Error} Wrong arguments.
+   */
+  send(name, payload, props, callback) {
+    const queue = this.#get(name);
+    this.#pending.set(queue, (this.#pending.get(queue) || 0) + 1);
+    this.#evict();
+
+    const self = this;
+    const done = function () {
+      const count = self.#pending.get(queue) - 1;
+      if (count > 0) {
+        return void self.#pending.set(queue, count);
+      }
+      self.#pending.delete(queue);
+      self.#evict();
+    };
+    try {
+      queue.sendMsg(payload, props, (err) => {
+        done();
+        callback(err);
+      });
+    } catch (err) {
+      done();
+      throw err;
+    }
+  }
+
+  /**
+   * To get the sender queue of the name.
+   *
+   * @param {string} name
+   * @returns {Object}
+   */
+  #get(name) {
+    let queue = this.#queues.get(name);
+    if (queue) {
+      this.#queues.delete(name);
+      this.#queues.set(name, queue);
+      return queue;
+    }
+
+    const opts = {
+      name,
+      isRecv: false,
+      reliable: true,
+      broadcast: this.#opts.broadcast,
+      bufferMaxCount: SENDER_BUFFER,
+    };
+    if (this.#opts.reconnectMillis !== undefined) {
+      opts.reconnectMillis = this.#opts.reconnectMillis;
+    }
+    queue = new this.#Queue(opts, this.#conn);
+    queue.on(Events.Error, (err) => {
+      this.#emitter.emit(Events.Error, err);
+    });
+    queue.connect();
+    this.#queues.set(name, queue);
+    return queue;
+  }
+
+  /**
+   * To close least recently used queues without pending sends until there are not too many queues.
+   */
+  #evict() {
+    for (const [name, queue] of this.#queues) {
+      if (this.#queues.size <= MAX_SENDERS) {
+        return;
+      } else if (!this.#pending.has(queue)) {
+        this.#queues.delete(name);
+        queue.close(() => {});
+      }
+    }
+  }
+
+  /**
+   * To close all queues.
+   *
+   * @param {function} callback
+   *   @param {?Error} callback.err
+   */
+  close(callback) {
+    const queues = Array.from(this.#queues.values());
+    this.#queues.clear();
+    async.each(
+      queues,
+      (queue, cb) => {
+        queue.close(cb);
+      },
+      (err) => {
+        callback(err || null);
+      }
+    );
+  }
+
+  /** @type {function} */
+  #Queue;
+  /** @type {Object} */
+  #conn;
+  /** @type {Object} */
+  #opts;
+  /** @type {EventEmitter} */
+  #emitter;
+  /** @type {Map<string, Object>} */
+  #queues;
+  /**
+   * The number of pending sends of queues.
+   *
+   * @type {Map<Object, number>}
+   */
+  #pending;
+}
+
+/**
+ * Serves RPC requests of the unicast queue `name`. Replies are sent to the broadcast queue of the
+ * request's `replyTo` property with the same `correlationId`.
+ *
+ * MQTT connections MUST use MQTT 5 to carry the response topic and the correlation data.
+ *
+ * @class RpcServer
+ * @fires RpcServer#error
+ * @fires RpcServer#status
+ */
+class RpcServer extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} opts The server options.
+   *   @param {string} opts.name The queue name of requests.
+   *   @param {number} [opts.prefetch=100] The maximum number of requests that are handled
+   *          concurrently.
+   *   @param {string} [opts.sharedPrefix] The MQTT shared subscription prefix for load balancing
+   *          requests to servers.
+   *   @param {number} [opts.reconnectMillis=1000] Time in milliseconds from disconnection to
+   *          reconnection.
+   *   @param {Engine} [opts.engine] The engine of `conn`. This is REQUIRED for registered engines.
+   * @param {AmqpConnection|MemoryConnection|MqttConnection} conn The connection.
+   * @throws {Error} Wrong arguments.
+   */
+  constructor(opts, conn) {
+    super();
+
+    if (!opts || typeof opts !== DataTypes.Object || Array.isArray(opts)) {
+      throw Error('`opts` is not an object');
+    }
+    const Queue = toQueueClass(opts.engine, conn);
+
+    const queueOpts = {
+      name: opts.name,
+      isRecv: true,
+      reliable: true,
+      broadcast: false,
+      prefetch: opts.prefetch === undefined ? DEF_PREFETCH : opts.prefetch,
+    };
+    for (const key of ['sharedPrefix', 'reconnectMillis']) {
+      if (opts[key] !== undefined) {
+        queueOpts[key] = opts[key];
+      }
+    }
+    this.#queue = new Queue(queueOpts, conn);
+    this.#queue.on(Events.Error, (err) => {
+      this.emit(Events.Error, err);
+    });
+    this.#queue.on(Events.Status, (status) => {
+      this.emit(Events.Status, status);
+    });
+    this.#queue.setMsgHandler(this.#onRequest.bind(this));
+    this.#senders = new SenderPool(
+      Queue,
+      conn,
+      { broadcast: true, reconnectMillis: opts.reconnectMillis },
+      this
+    );
+    this.#handler = null;
+  }
+
+  /**
+   * To get the queue name of requests.
+   *
+   * @returns {string}
+   */
+  name() {
+    return this.#queue.name();
+  }
+
+  /**
+   * To get the server status.
+   *
+   * @returns {Status}
+   */
+  status() {
+    return this.#queue.status();
+  }
+
+  /**
+   * To set the request handler. You MUST set a handler before `connect()`.
+   *
+   * @param {RpcHandler} handler
+   * @throws {Error} Wrong arguments.
+   */
+  setHandler(handler) {
+    if (typeof handler !== DataTypes.Function) {
+      throw Error('the handler is not a function');
+    }
+
+    this.#handler = handler;
+  }
+
+  /**
+   * To start receiving requests.
+   *
+   * @param {number} [timeoutMillis=0] Time in milliseconds to wait for the connected status. `0`
+   *        means waiting without time limit.
+   * @returns {Promise<void>}
+   * @throws {Error} Wrong arguments or usage.
+   */
+  connect(timeoutMillis) {
+    if (!this.#handler) {
+      throw Error(Errors.NoMsgHandler);
+    }
+    return this.#queue.connect(timeoutMillis);
+  }
+
+  /**
+   * To stop receiving requests and close reply queues.
+   *
+   * @param {function} [callback]
+   *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is not a function.
+   */
+  close(callback) {
+    if (typeof callback !== DataTypes.Function) {
+      return promisify((cb) => {
+        this.close(cb);
+      });
+    }
+
+    const self = this;
+    async.series(
+      [
+        function (cb) {
+          self.#queue.close(cb);
+        },
+        function (cb) {
+          self.#senders.close(cb);
+        },
+      ],
+      (err) => {
+        callback(err || null);
+      }
+    );
+  }
+
+  /**
+   * @param {Object} queue
+   * @param {RpcMessage} msg
+   */
+  #onRequest(queue, msg) {
+    const { replyTo, correlationId } = msg.properties;
+    if (!correlationId || !QueuePattern.test(replyTo)) {
+      // Drop requests that cannot be replied.
+      return void queue.ack(msg, () => {});
+    }
+
+    const self = this;
+    let replied = false;
+    const respond = function (err, payload, props) {
+      if (replied) {
+        return;
+      }
+      replied = true;
+
+      let replyProps = {};
+      if (!err) {
+        try {
+          if (!(payload instanceof Buffer)) {
+            throw Error('`payload` is not a Buffer');
+          }
+          replyProps = toMsgProps(props);
+        } catch (e) {
+          err = e;
+        }
+      }
+      if (err) {
+        replyProps = { headers: { [ERROR_HEADER]: `${err.message || err}` } };
+        payload = Buffer.alloc(0);
+      }
+      replyProps.correlationId = correlationId;
+      delete replyProps.replyTo;
+
+      self.#senders.send(replyTo, payload, replyProps, (err) => {
+        // The client has been closed if the reply is unroutable, so the request is done.
+        if (err && err.message !== Errors.Unroutable) {
+          return void queue.nack(msg, () => {});
+        }
+        queue.ack(msg, () => {});
+      });
+    };
+
+    let ret;
+    try {
+      ret = this.#handler({ payload: msg.payload, properties: msg.properties }, respond);
+    } catch (e) {
+      return void respond(e);
+    }
+    if (ret && typeof ret.then === DataTypes.Function) {
+      ret.then(
+        (payload) => {
+          if (payload !== undefined) {
+            respond(null, payload);
+          }
+        },
+        (e) => {
+          respond(e || Error('rejected'));
+        }
+      );
+    }
+  }
+
+  /** @type {Object} */
+  #queue;
+  /** @type {SenderPool} */
+  #senders;
+  /** @type {RpcHandler} */
+  #handler;
+}
+
+/**
+ * Calls RPC servers. Replies are received with a broadcast queue that is named
+ * `rpc-reply.[random]` for each client.
+ *
+ * MQTT connections MUST use MQTT 5 to carry the response topic and the correlation data.
+ *
+ * @class RpcClient
+ * @fires RpcClient#error
+ * @fires RpcClient#status
+ */
+class RpcClient extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} [opts] The client options.
+   *   @param {number} [opts.timeoutMillis=10000] The default timeout of calls.
+   *   @param {number} [opts.prefetch=100] The maximum number of unacknowledged replies.
+   *   @param {number} [opts.reconnectMillis=1000] Time in milliseconds from disconnection to
+   *          reconnection.
+   *   @param {Engine} [opts.engine] The engine of `conn`. This is REQUIRED for registered engines.
+   * @param {AmqpConnection|MemoryConnection|MqttConnection} conn The connection.
+   * @throws {Error} Wrong arguments.
+   */
+  constructor(opts, conn) {
+    super();
+
+    if (opts === undefined) {
+      opts = {};
+    } else if (!opts || typeof opts !== DataTypes.Object || Array.isArray(opts)) {
+      throw Error('`opts` is not an object');
+    }
+    if (
+      opts.timeoutMillis !== undefined &&
+      (!Number.isInteger(opts.timeoutMillis) || opts.timeoutMillis <= 0)
+    ) {
+      throw Error('`timeoutMillis` is not a positive integer');
+    }
+    const Queue = toQueueClass(opts.engine, conn);
+
+    const queueOpts = {
+      name: `rpc-reply.${randomstring.generate({ length: 12, capitalization: 'lowercase' })}`,
+      isRecv: true,
+      reliable: true,
+      broadcast: true,
+      prefetch: opts.prefetch === undefined ? DEF_PREFETCH : opts.prefetch,
+    };
+    if (opts.reconnectMillis !== undefined) {
+      queueOpts.reconnectMillis = opts.reconnectMillis;
+    }
+    this.#queue = new Queue(queueOpts, conn);
+    this.#queue.on(Events.Error, (err) => {
+      this.emit(Events.Error, err);
+    });
+    this.#queue.on(Events.Status, (status) => {
+      this.emit(Events.Status, status);
+    });
+    this.#queue.setMsgHandler(this.#onReply.bind(this));
+    this.#senders = new SenderPool(
+      Queue,
+      conn,
+      { broadcast: false, reconnectMillis: opts.reconnectMillis },
+      this
+    );
+    this.#timeoutMillis = opts.timeoutMillis || DEF_TIMEOUT;
+    this.#pending = new Map();
+  }
+
+  /**
+   * To get the queue name of replies.
+   *
+   * @returns {string}
+   */
+  replyName() {
+    return this.#queue.name();
+  }
+
+  /**
+   * To get the client status.
+   *
+   * @returns {Status}
+   */
+  status() {
+    return this.#queue.status();
+  }
+
+  /**
+   * To start receiving replies.
+   *
+   * @param {number} [timeoutMillis=0] Time in milliseconds to wait for the connected status. `0`
+   *        means waiting without time limit.
+   * @returns {Promise<void>}
+   * @throws {Error} Wrong arguments.
+   */
+  connect(timeoutMillis) {
+    return this.#queue.connect(timeoutMillis);
+  }
+
+  /**
+   * To close the client. Pending calls are rejected with `Errors.RpcCancelled`.
+   *
+   * @param {function} [callback]
+   *   @param {?Error} callback.err
+   * @returns {?Promise<void>} A Promise if `callback` is not a function.
+   */
+  close(callback) {
+    if (typeof callback !== DataTypes.Function) {
+      return promisify((cb) => {
+        this.close(cb);
+      });
+    }
+
+    for (const correlationId of Array.from(this.#pending.keys())) {
+      this.#finish(correlationId, Error(Errors.RpcCancelled));
+    }
+
+    const self = this;
+    async.series(
+      [
+        function (cb) {
+          self.#queue.close(cb);
+        },
+        function (cb) {
+          self.#senders.close(cb);
+        },
+      ],
+      (err) => {
+        callback(err || null);
+      }
+    );
+  }
+
+  /**
+   * To send a request to the RPC server and wait for the reply.
+   *
+   * The call fails with `Errors.NotConnected` if the client is not connected,
+   * `Errors.RpcTimeout` if there is no reply in time, `Errors.RpcCancelled` if `signal` is
+   * aborted, or the error message of the server.
+   *
+   * @param {string} name The queue name of the server.
+   * @param {Buffer} payload The request payload.
+   * @param {Object} [opts] The call options.
+   *   @param {number} [opts.timeoutMillis] The timeout. Default uses the client's option.
+   *   @param {AbortSignal} [opts.signal] The signal to cancel the call.
+   *   @param {MessageProperties} [opts.props] The request properties. `replyTo` and
+   *          `correlationId` are replaced by the client.
+   * @param {function} [callback] Omit this to get a Promise.
+   *   @param {?Error} callback.err
+   *   @param {RpcMessage} callback.reply
+   * @returns {?Promise<RpcMessage>} A Promise if `callback` is omitted.
+   * @throws {Error} Wrong arguments.
+   */
+  call(name, payload, opts, callback) {
+    if (typeof opts === DataTypes.Function) {
+      callback = opts;
+      opts = undefined;
+    }
+
+    if (!QueuePattern.test(name)) {
+      throw Error('`name` is not match pattern `^[a-z0-9_-]+([\\.]{1}[a-z0-9_-]+)*$`');
+    } else if (!(payload instanceof Buffer)) {
+      throw Error('`payload` is not a Buffer');
+    }
+    opts = toCallOpts(opts, this.#timeoutMillis);
+    if (callback === undefined) {
+      return promisify((cb) => {
+        this.call(name, payload, opts, cb);
+      });
+    } else if (typeof callback !== DataTypes.Function) {
+      throw Error('`callback` is not a function');
+    }
+
+    if (this.#queue.status() !== Status.Connected) {
+      return void process.nextTick(() => {
+        callback(Error(Errors.NotConnected));
+      });
+    } else if (opts.signal && opts.signal.aborted) {
+      return void process.nextTick(() => {
+        callback(Error(Errors.RpcCancelled));
+      });
+    }
+
+    const correlationId = randomUUID();
+    const pending = {
+      callback,
+      timer: setTimeout(() => {
+        this.#finish(correlationId, Error(Errors.RpcTimeout));
+      }, opts.timeoutMillis),
+      signal: opts.signal,
+      onAbort: () => {
+        this.#finish(correlationId, Error(Errors.RpcCancelled));
+      },
+    };
+    if (pending.signal) {
+      pending.signal.addEventListener('abort', pending.onAbort, { once: true });
+    }
+    this.#pending.set(correlationId, pending);
+
+    const props = { ...opts.props, replyTo: this.#queue.name(), correlationId };
+    this.#senders.send(name, payload, props, (err) => {
+      if (err) {
+        this.#finish(correlationId, err);
+      }
+    });
+  }
+
+  /**
+   * @param {Object} queue
+   * @param {RpcMessage} msg
+   */
+  #onReply(queue, msg) {
+    queue.ack(msg, () => {});
+
+    const { correlationId, headers } = msg.properties;
+    if (!this.#pending.has(correlationId)) {
+      return;
+    } else if (headers && headers[ERROR_HEADER] !== undefined) {
+      return void this.#finish(correlationId, Error(headers[ERROR_HEADER]));
+    }
+    this.#finish(correlationId, null, { payload: msg.payload, properties: msg.properties });
+  }
+
+  /**
+   * To complete a pending call.
+   *
+   * @param {string} correlationId
+   * @param {?Error} err
+   * @param {RpcMessage} [reply]
+   */
+  #finish(correlationId, err, reply) {
+    const pending = this.#pending.get(correlationId);
+    if (!pending) {
+      return;
+    }
+    this.#pending.delete(correlationId);
+    clearTimeout(pending.timer);
+    if (pending.signal) {
+      pending.signal.removeEventListener('abort', pending.onAbort);
+    }
+    pending.callback(err, reply);
+  }
+
+  /** @type {Object} */
+  #queue;
+  /** @type {SenderPool} */
+  #senders;
+  /** @type {number} */
+  #timeoutMillis;
+  /**
+   * Pending calls with correlation IDs as keys.
+   *
+   * @type {Map<string, Object>}
+   */
+  #pending;
+}
+
+/**
+ * To get the queue class for the connection.
+ *
+ * @param {Engine} [engine] The engine of `conn`.
+ * @param {Object} conn The connection.
+ * @returns {function}
+ * @throws {Error} Wrong arguments.
+ */
+function toQueueClass(engine, conn) {
+  if (conn instanceof MqttConnection && conn.protocolVersion() !== 5) {
+    throw Error('`conn` must use MQTT 5 for RPC');
+  }
+
+  if (engine !== undefined) {
+    if (!engine || typeof engine.Queue !== DataTypes.Function) {
+      throw Error('`engine.Queue` is not a class');
+    }
+    return engine.Queue;
+  } else if (conn instanceof AmqpConnection) {
+    return AmqpQueue;
+  } else if (conn instanceof MemoryConnection) {
+    return MemoryQueue;
+  } else if (conn instanceof MqttConnection) {
+    return MqttQueue;
+  }
+  throw Error('`conn` is not a built-in connection, use `engine` to specify the engine');
+}
+
+/**
+ * To validate call options.
+ *
+ * @param {Object} [opts]
+ * @param {number} defTimeout
+ * @returns {Object}
+ * @throws {Error} Wrong arguments.
+ */
+function toCallOpts(opts, defTimeout) {
+  if (opts === undefined) {
+    opts = {};
+  } else if (!opts || typeof opts !== DataTypes.Object || Array.isArray(opts)) {
+    throw Error('`opts` is not an object');
+  }
+  if (
+    opts.timeoutMillis !== undefined &&
+    (!Number.isInteger(opts.timeoutMillis) || opts.timeoutMillis <= 0)
+  ) {
+    throw Error('`timeoutMillis` is not a positive integer');
+  } else if (
+    opts.signal !== undefined &&
+    (!opts.signal || typeof opts.signal.addEventListener !== DataTypes.Function)
+  ) {
+    throw Error('`signal` is not an AbortSignal');
+  }
+
+  return {
+    timeoutMillis: opts.timeoutMillis || defTimeout,
+    signal: opts.signal,
+    props: toMsgProps(opts.props),
+  };
+}
+
+module.exports = {
+  RpcClient,
+  RpcServer,
+};
@@ -0,0 +1,183 @@
+'use strict';
+
+const { Errors, SendBufferOverflow } = require('./constants');
+
+/**
+ * A buffered message.
+ *
+ * @typedef {Object} BufferedMsg
+ * @property {Buffer} payload
+ * @property {Object} props
+ * @property {function} callback
+ */
+
+/**
+ * The bounded buffer that keeps outgoing messages while the queue is not connected and sends them in
+ * order after the queue is connected.
+ *
+ * @private
+ * @class SendBuffer
+ */
+class SendBuffer {
+  /**
+   * @constructor
+   * @param {Object} opts The buffer options.
+   *   @param {number} [opts.maxCount] The maximum number of buffered messages.
+   *   @param {number} [opts.maxBytes] The maximum total bytes of buffered payloads.
+   *   @param {SendBufferOverflow} opts.overflow The policy when the buffer is full.
+   * @param {function} send The function to send a message.
+   *   @param {Buffer} send.payload
+   *   @param {Object} send.props
+   *   @param {function} send.callback
+   * @param {function} isReady The function that returns `true` if messages can be sent.
+   */
+  constructor(opts, send, isReady) {
+    this.#opts = opts;
+    this.#send = send;
+    this.#isReady = isReady;
+    this.#msgs = [];
+    this.#bytes = 0;
+    this.#flushing = false;
+  }
+
+  /**
+   * To get the number of buffered messages.
+   *
+   * @returns {number}
+   */
+  length() {
+    return this.#msgs.length;
+  }
+
+  /**
+   * To buffer a message. The callback is called after the message is sent, or with
+   * `Errors.SendBufferFull` if the message is rejected or dropped.
+   *
+   * @param {Buffer} payload
+   * @param {Object} props
+   * @param {function} callback
+   *   @param {?Error} callback.err
+   */
+  push(payload, props, callback) {
+    const { maxCount, maxBytes, overflow } = this.#opts;
+    const isFull = () => this.#msgs.length >= maxCount || this.#bytes + payload.length > maxBytes;
+
+    if (payload.length > maxBytes || (isFull() && overflow === SendBufferOverflow.Reject)) {
+      return void process.nextTick(() => {
+        callback(Error(Errors.SendBufferFull));
+      });
+    }
+    while (isFull()) {
+      const msg = this.#msgs.shift();
+      this.#bytes -= msg.payload.length;
+      process.nextTick(() => {
+        msg.callback(Error(Errors.SendBufferFull));
+      });
+    }
+
+    this.#msgs.push({ payload, props, callback });
+    this.#bytes += payload.length;
+    this.flush();
+  }
+
+  /**
+   * To send buffered messages one by one in order when the queue is ready.
+   */
+  flush() {
+    if (this.#flushing || this.#msgs.length === 0 || !this.#isReady()) {
+      return;
+    }
+
+    this.#flushing = true;
+    const msg = this.#msgs.shift();
+    this.#bytes -= msg.payload.length;
+    this.#send(msg.payload, msg.props, (err) => {
+      this.#flushing = false;
+      msg.callback(err || null);
+      this.flush();
+    });
+  }
+
+  /**
+   * To remove all buffered messages and report the error to their callbacks.
+   *
+   * @param {Error} err
+   */
+  clear(err) {
+    const msgs = this.#msgs;
+    this.#msgs = [];
+    this.#bytes = 0;
+    for (const msg of msgs) {
+      process.nextTick(() => {
+        msg.callback(err);
+      });
+    }
+  }
+
+  #opts;
+  /** @type {function} */
+  #send;
+  /** @type {function} */
+  #isReady;
+  /** @type {BufferedMsg[]} */
+  #msgs;
+  /**
+   * Total bytes of buffered payloads.
+   *
+   * @type {number}
+   */
+  #bytes;
+  /**
+   * A buffered message is being sent.
+   *
+   * @type {boolean}
+   */
+  #flushing;
+}
+
+/**
+ * To create a send buffer from queue options.
+ *
+ * @private
+ * @param {Object} opts The queue options.
+ *   @param {number} [opts.bufferMaxCount] The maximum number of buffered messages.
+ *   @param {number} [opts.bufferMaxBytes] The maximum total bytes of buffered payloads.
+ *   @param {SendBufferOverflow} [opts.bufferOverflow='reject'] The policy when the buffer is full.
+ * @param {function} send The function to send a message.
+ * @param {function} isReady The function that returns `true` if messages can be sent.
+ * @returns {?SendBuffer} `null` if neither `bufferMaxCount` nor `bufferMaxBytes` is specified.
+ * @throws {Error} Wrong arguments.
+ */
+function newSendBuffer(opts, send, isReady) {
+  if (
+    opts.bufferMaxCount !== undefined &&
+    (!Number.isInteger(opts.bufferMaxCount) || opts.bufferMaxCount <= 0)
+  ) {
+    throw Error('`bufferMaxCount` must be a positive integer');
+  } else if (
+    opts.bufferMaxBytes !== undefined &&
+    (!Number.isInteger(opts.bufferMaxBytes) || opts.bufferMaxBytes <= 0)
+  ) {
+    throw Error('`bufferMaxBytes` must be a positive integer');
+  } else if (
+    opts.bufferOverflow !== undefined &&
+    !Object.values(SendBufferOverflow).includes(opts.bufferOverflow)
+  ) {
+    throw Error('`bufferOverflow` must be `drop-oldest` or `reject`');
+  }
+
+  if (opts.bufferMaxCount === undefined && opts.bufferMaxBytes === undefined) {
+    return null;
+  }
+  const bufferOpts = {
+    maxCount: opts.bufferMaxCount || Infinity,
+    maxBytes: opts.bufferMaxBytes || Infinity,
+    overflow: opts.bufferOverflow || SendBufferOverflow.Reject,
+  };
+  return new SendBuffer(bufferOpts, send, isReady);
+}
+
+module.exports = {
+  SendBuffer,
+  newSendBuffer,
+};
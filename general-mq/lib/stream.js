@@ -0,0 +1,180 @@
+'use strict';
+
+const { Writable } = require('stream');
+
+const { DataTypes, Errors, Events, Status } = require('./constants');
+
+/**
+ * The async iterator of received messages. Messages are buffered until they are iterated, and
+ * receivers hold at most `prefetch` unacknowledged messages, so the iteration speed limits the
+ * delivery speed of reliable receivers. Call `ack()` or `nack()` of the queue for each message.
+ *
+ * The iteration ends when the queue is closed. Like `Readable` streams, breaking the loop closes the
+ * queue and the broker requeues unacknowledged messages.
+ *
+ * @class MessageIterator
+ */
+class MessageIterator {
+  /**
+   * @constructor
+   * @param {Object} queue The receiver queue. The message handler of the queue is replaced.
+   * @throws {Error} The queue is not a receiver.
+   */
+  constructor(queue) {
+    if (!queue.isRecv()) {
+      throw Error(Errors.QueueIsSender);
+    }
+
+    this.#queue = queue;
+    this.#msgs = [];
+    this.#waiters = [];
+    this.#done = false;
+    this.#onStatus = (status) => {
+      if (status === Status.Closed) {
+        this.#end();
+      }
+    };
+    queue.on(Events.Status, this.#onStatus);
+    queue.setMsgHandler(this.#onMessage.bind(this));
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * To get the next received message.
+   *
+   * @returns {Promise<{ value: Object, done: boolean }>}
+   */
+  next() {
+    if (this.#msgs.length > 0) {
+      return Promise.resolve({ value: this.#msgs.shift(), done: false });
+    } else if (this.#done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve) => {
+      this.#waiters.push(resolve);
+    });
+  }
+
+  /**
+   * To stop iterating and close the queue. This is called when breaking `for await` loops.
+   *
+   * @returns {Promise<{ value: undefined, done: boolean }>}
+   */
+  return() {
+    const done = this.#done;
+    this.#end();
+    const result = { value: undefined, done: true };
+    if (done) {
+      return Promise.resolve(result);
+    }
+    return this.#queue.close().then(() => result);
+  }
+
+  #onMessage(_queue, msg) {
+    if (this.#done) {
+      // The queue is closing and the broker will requeue the message.
+      return;
+    }
+    const waiter = this.#waiters.shift();
+    if (waiter) {
+      return void waiter({ value: msg, done: false });
+    }
+    this.#msgs.push(msg);
+  }
+
+  #end() {
+    if (this.#done) {
+      return;
+    }
+    this.#done = true;
+    this.#msgs = [];
+    this.#queue.removeListener(Events.Status, this.#onStatus);
+    for (const waiter of this.#waiters.splice(0)) {
+      waiter({ value: undefined, done: true });
+    }
+  }
+
+  /** @type {Object} */
+  #queue;
+  /**
+   * Received messages that are not iterated.
+   *
+   * @type {Object[]}
+   */
+  #msgs;
+  /**
+   * Pending `next()` calls.
+   *
+   * @type {function[]}
+   */
+  #waiters;
+  /** @type {boolean} */
+  #done;
+  /** @type {function} */
+  #onStatus;
+}
+
+/**
+ * The `Writable` stream (object mode) of a sender queue. Each chunk is sent as a message and the
+ * stream waits for the completion of `sendMsg()`, so reliable sends apply backpressure to piped
+ * sources. A chunk is a Buffer, a string, or an object `{ payload, props }` with message
+ * properties.
+ *
+ * @class QueueWritable
+ */
+class QueueWritable extends Writable {
+  /**
+   * @constructor
+   * @param {Object} queue The sender queue.
+   * @param {Object} [opts]
+   *   @param {number} [opts.highWaterMark=16] The number of messages to buffer in the stream.
+   * @throws {Error} Wrong arguments or the queue is not a sender.
+   */
+  constructor(queue, opts) {
+    if (queue.isRecv()) {
+      throw Error(Errors.QueueIsReceiver);
+    } else if (opts === undefined) {
+      opts = {};
+    } else if (!opts || typeof opts !== DataTypes.Object || Array.isArray(opts)) {
+      throw Error('`opts` is not an object');
+    } else if (
+      opts.highWaterMark !== undefined &&
+      (!Number.isInteger(opts.highWaterMark) || opts.highWaterMark <= 0)
+    ) {
+      throw Error('`highWaterMark` is not a positive integer');
+    }
+
+    super({ objectMode: true, highWaterMark: opts.highWaterMark });
+    this.#queue = queue;
+  }
+
+  _write(chunk, _encoding, callback) {
+    let payload = chunk;
+    let props;
+    if (typeof chunk === DataTypes.String) {
+      payload = Buffer.from(chunk);
+    } else if (chunk && !(chunk instanceof Buffer) && typeof chunk === DataTypes.Object) {
+      payload = chunk.payload;
+      props = chunk.props;
+    }
+
+    try {
+      this.#queue.sendMsg(payload, props, (err) => {
+        callback(err || null);
+      });
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /** @type {Object} */
+  #queue;
+}
+
+module.exports = {
+  MessageIterator,
+  QueueWritable,
+};
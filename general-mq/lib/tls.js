@@ -0,0 +1,129 @@
+'use strict';
+
+const fs = require('fs');
+
+const { DataTypes } = require('./constants');
+
+/**
+ * TLS options of connections. String values of `ca`, `cert` and `key` are file paths that are read
+ * for each connection attempt, so reconnections use rotated certificates.
+ *
+ * @typedef {Object} TlsOptions
+ * @property {Buffer|string|Array<Buffer|string>} [ca] CA certificates (PEM) or their file paths.
+ * @property {Buffer|string} [cert] The client certificate chain (PEM) or its file path.
+ * @property {Buffer|string} [key] The client private key (PEM) or its file path.
+ * @property {string} [passphrase] The passphrase of the private key.
+ * @property {string} [servername] The server name for SNI and certificate verification.
+ */
+
+/**
+ * To validate TLS options and get a copy that only contains specified fields.
+ *
+ * @private
+ * @param {Object} opts The connection options that contain `TlsOptions` fields.
+ *   @param {number} [opts.tlsWatchMillis] The interval to check certificate files.
+ * @returns {TlsOptions}
+ * @throws {Error} Wrong arguments.
+ */
+function toTlsOpts(opts) {
+  const isFileOrBuffer = function (value) {
+    return (typeof value === DataTypes.String && value.length > 0) || value instanceof Buffer;
+  };
+
+  if (opts.ca !== undefined) {
+    const list = Array.isArray(opts.ca) ? opts.ca : [opts.ca];
+    if (list.length === 0 || !list.every(isFileOrBuffer)) {
+      throw Error('`ca` is not a Buffer, a file path or an array of them');
+    }
+  }
+  for (const key of ['cert', 'key']) {
+    if (opts[key] !== undefined && !isFileOrBuffer(opts[key])) {
+      throw Error(`\`${key}\` is not a Buffer or a file path`);
+    }
+  }
+  for (const key of ['passphrase', 'servername']) {
+    if (opts[key] !== undefined && typeof opts[key] !== DataTypes.String) {
+      throw Error(`\`${key}\` is not a string`);
+    }
+  }
+  if (
+    opts.tlsWatchMillis !== undefined &&
+    (!Number.isInteger(opts.tlsWatchMillis) || opts.tlsWatchMillis <= 0)
+  ) {
+    throw Error('`tlsWatchMillis` is not a positive integer');
+  }
+
+  const ret = {};
+  for (const key of ['cert', 'key', 'passphrase', 'servername']) {
+    if (opts[key] !== undefined) {
+      ret[key] = opts[key];
+    }
+  }
+  if (opts.ca !== undefined) {
+    ret.ca = Array.isArray(opts.ca) ? [...opts.ca] : opts.ca;
+  }
+  return ret;
+}
+
+/**
+ * To get the options for `tls.connect()` with contents of certificate files.
+ *
+ * @private
+ * @param {TlsOptions} tlsOpts
+ * @returns {Object}
+ * @throws {Error} Failed to read files.
+ */
+function loadTlsOpts(tlsOpts) {
+  const load = function (value) {
+    return value instanceof Buffer ? value : fs.readFileSync(value);
+  };
+
+  const ret = { ...tlsOpts };
+  if (tlsOpts.ca !== undefined) {
+    ret.ca = Array.isArray(tlsOpts.ca) ? tlsOpts.ca.map(load) : load(tlsOpts.ca);
+  }
+  for (const key of ['cert', 'key']) {
+    if (tlsOpts[key] !== undefined) {
+      ret[key] = load(tlsOpts[key]);
+    }
+  }
+  return ret;
+}
+
+/**
+ * To watch certificate files of TLS options.
+ *
+ * @private
+ * @param {TlsOptions} tlsOpts
+ * @param {number} intervalMillis The interval to check files.
+ * @param {function} listener Called when one of files is changed.
+ * @returns {function} The function to stop watching.
+ */
+function watchTlsFiles(tlsOpts, intervalMillis, listener) {
+  const files = [];
+  for (const value of [].concat(tlsOpts.ca || [], tlsOpts.cert || [], tlsOpts.key || [])) {
+    if (typeof value === DataTypes.String && !files.includes(value)) {
+      files.push(value);
+    }
+  }
+
+  const onChange = function (curr, prev) {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+      listener();
+    }
+  };
+  for (const file of files) {
+    fs.watchFile(file, { interval: intervalMillis, persistent: false }, onChange);
+  }
+  return function () {
+    for (const file of files) {
+      fs.unwatchFile(file, onChange);
+    }
+  };
+}
+
+module.exports = {
+  loadTlsOpts,
+  toTlsOpts,
+  watchTlsFiles,
+};
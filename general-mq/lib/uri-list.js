@@ -0,0 +1,132 @@
+'use strict';
+
+const { URL } = require('url');
+
+const { DataTypes, Failover } = require('./constants');
+
+/**
+ * Selects the broker URI to connect with the failover policy.
+ *
+ * @private
+ * @class UriList
+ */
+class UriList {
+  /**
+   * @constructor
+   * @param {string[]} uris Broker URIs.
+   * @param {Failover} failover The failover policy.
+   */
+  constructor(uris, failover) {
+    this.#uris = uris;
+    this.#failover = failover;
+    this.#index = 0;
+  }
+
+  /**
+   * To get the URI to connect.
+   *
+   * @returns {string}
+   */
+  current() {
+    return this.#uris[this.#index];
+  }
+
+  /**
+   * To get the host (`hostname:port`) of the current URI.
+   *
+   * @returns {string}
+   */
+  host() {
+    return new URL(this.current()).host;
+  }
+
+  /**
+   * To select the URI for a new `connect()`. The priority policy starts from the first URI.
+   */
+  reset() {
+    if (this.#failover === Failover.Priority) {
+      this.#index = 0;
+    }
+  }
+
+  /**
+   * To select the next URI after a connection failure.
+   *
+   * @returns {boolean} `true` if another URI is selected.
+   */
+  failed() {
+    this.#index = (this.#index + 1) % this.#uris.length;
+    return this.#uris.length > 1;
+  }
+
+  /**
+   * To select the URI after an unexpected close. The round-robin policy uses the next URI and the
+   * priority policy starts from the first URI.
+   */
+  closed() {
+    if (this.#failover === Failover.Priority) {
+      this.#index = 0;
+    } else {
+      this.failed();
+    }
+  }
+
+  /** @type {string[]} */
+  #uris;
+  /** @type {Failover} */
+  #failover;
+  /** @type {number} */
+  #index;
+}
+
+/**
+ * To create a URI list from connection options.
+ *
+ * @private
+ * @param {Object} opts The connection options.
+ *   @param {string} [opts.uri] The connection URI.
+ *   @param {string[]} [opts.uris] Connection URIs. Cannot be used with `uri`.
+ *   @param {Failover} [opts.failover='round-robin'] The failover policy.
+ * @param {string} defUri The default URI.
+ * @param {string[]} schemes Supported URI schemes without the trailing `:`.
+ * @returns {UriList}
+ * @throws {Error} Wrong arguments.
+ */
+function newUriList(opts, defUri, schemes) {
+  const checkUri = function (uri, key) {
+    if (!uri || typeof uri !== DataTypes.String) {
+      throw Error(`\`${key}\` is not a string`);
+    } else if (!URL.canParse(uri)) {
+      throw Error(`\`${key}\` is not a valid URI`);
+    }
+    const u = new URL(uri);
+    if (!schemes.includes(u.protocol.slice(0, -1))) {
+      throw Error(`\`${key}\` scheme only support \`${schemes.join('` and `')}\``);
+    }
+  };
+
+  if (opts.uri !== undefined) {
+    checkUri(opts.uri, 'uri');
+  }
+  if (opts.uris !== undefined) {
+    if (!Array.isArray(opts.uris) || opts.uris.length === 0) {
+      throw Error('`uris` is not a non-empty array');
+    } else if (opts.uri !== undefined) {
+      throw Error('`uri` and `uris` cannot be used together');
+    }
+    opts.uris.forEach((uri, i) => {
+      checkUri(uri, `uris[${i}]`);
+    });
+  }
+  if (opts.failover !== undefined && !Object.values(Failover).includes(opts.failover)) {
+    throw Error(`\`failover\` is not one of ${Object.values(Failover).join(', ')}`);
+  }
+
+  const uris = opts.uris ? [...opts.uris] : [opts.uri || defUri];
+  return new UriList(uris, opts.failover || Failover.RoundRobin);
+}
+
+module.exports = {
+  UriList,
+  newUriList,
+};
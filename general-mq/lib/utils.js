@@ -0,0 +1,171 @@
+'use strict';
+
+const { DataTypes, Errors, Events, Status } = require('./constants');
+
+/** String fields of `MessageProperties`. */
+const StringProps = ['contentType', 'contentEncoding', 'messageId', 'replyTo', 'correlationId'];
+
+/**
+ * Message properties that are sent with the payload.
+ *
+ * - AMQP maps these to message properties and `headers`. The timestamp keeps the precision of
+ *   seconds. The queue needs the `x-max-priority` argument to use `priority`.
+ * - MQTT maps `contentType`, `replyTo` and `correlationId` to the MQTT 5 content type, response
+ *   topic and correlation data, and others to user properties. Properties are only available with
+ *   MQTT 5 connections. `priority` and `expiration` are not supported.
+ *
+ * @typedef {Object} MessageProperties
+ * @property {string} [contentType] The MIME type of the payload.
+ * @property {string} [contentEncoding] The encoding of the payload such as `gzip`.
+ * @property {string} [messageId] The application message identifier.
+ * @property {Date} [timestamp] The time that the message is created.
+ * @property {string} [replyTo] The queue name to send the reply to.
+ * @property {string} [correlationId] The identifier to correlate the reply with the request.
+ * @property {number} [priority] The message priority between 0 to 255.
+ * @property {number} [expiration] The time in milliseconds that the message can stay in queues
+ *           before it is discarded or dead-lettered.
+ * @property {Object.<string, string>} [headers] Custom headers.
+ */
+
+/**
+ * To wrap a callback-style function into a Promise.
+ *
+ * The returned Promise has a no-op rejection handler attached so that callers who do not await the
+ * result (fire and forget) will not cause unhandled rejections. Awaiting callers still receive the
+ * rejection.
+ *
+ * @private
+ * @param {function} fn The function to be executed.
+ *   @param {function} fn.callback The callback that resolves or rejects the Promise.
+ *     @param {?Error} fn.callback.err
+ *     @param {*} [fn.callback.result]
+ * @returns {Promise<*>}
+ */
+function promisify(fn) {
+  const p = new Promise((resolve, reject) => {
+    fn((err, result) => {
+      if (err) {
+        return void reject(err);
+      }
+      resolve(result);
+    });
+  });
+  p.catch(() => {});
+  return p;
+}
+
+/**
+ * To wait for a connection or a queue to be connected.
+ *
+ * The Promise will be resolved when the target reports `Status.Connected`, or be rejected when the
+ * target is closed, stops reconnecting or the timeout expires.
+ *
+ * @private
+ * @param {EventEmitter} target The connection or the queue which has the `status()` method.
+ * @param {number} timeoutMillis Timeout in milliseconds. Use `0` to wait without time limit.
+ * @returns {Promise<void>}
+ */
+function waitConnected(target, timeoutMillis) {
+  return promisify((callback) => {
+    if (target.status() === Status.Connected) {
+      return void process.nextTick(() => {
+        callback(null);
+      });
+    }
+
+    let timer = null;
+    const onStatus = function (status) {
+      if (status === Status.Connected) {
+        finish(null);
+      } else if (status === Status.Closed || status === Status.Disconnected) {
+        finish(Error(Errors.NotConnected));
+      }
+    };
+    const finish = function (err) {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      target.removeListener(Events.Status, onStatus);
+      callback(err);
+    };
+
+    target.on(Events.Status, onStatus);
+    if (timeoutMillis > 0) {
+      timer = setTimeout(() => {
+        timer = null;
+        finish(Error(Errors.ConnectTimeout));
+      }, timeoutMillis);
+    }
+  });
+}
+
+/**
+ * To validate message properties and get a copy that only contains specified fields.
+ *
+ * @private
+ * @param {MessageProperties} [props]
+ * @returns {MessageProperties}
+ * @throws {Error} Wrong arguments.
+ */
+function toMsgProps(props) {
+  if (props === undefined || props === null) {
+    return {};
+  } else if (typeof props !== DataTypes.Object || Array.isArray(props)) {
+    throw Error('`props` is not an object');
+  }
+
+  for (const key of StringProps) {
+    if (props[key] !== undefined && typeof props[key] !== DataTypes.String) {
+      throw Error(`\`props.${key}\` is not a string`);
+    }
+  }
+  if (
+    props.timestamp !== undefined &&
+    (!(props.timestamp instanceof Date) || isNaN(props.timestamp.getTime()))
+  ) {
+    throw Error('`props.timestamp` is not a valid Date');
+  }
+  if (
+    props.priority !== undefined &&
+    (!Number.isInteger(props.priority) || props.priority < 0 || props.priority > 255)
+  ) {
+    throw Error('`props.priority` must be an integer between 0 to 255');
+  } else if (
+    props.expiration !== undefined &&
+    (!Number.isInteger(props.expiration) || props.expiration < 0)
+  ) {
+    throw Error('`props.expiration` must be a non-negative integer');
+  }
+  if (props.headers !== undefined) {
+    if (
+      !props.headers ||
+      typeof props.headers !== DataTypes.Object ||
+      Array.isArray(props.headers)
+    ) {
+      throw Error('`props.headers` is not an object');
+    }
+    for (const key in props.headers) {
+      if (typeof props.headers[key] !== DataTypes.String) {
+        throw Error(`\`props.headers.${key}\` is not a string`);
+      }
+    }
+  }
+
+  const ret = {};
+  for (const key of [...StringProps, 'timestamp', 'priority', 'expiration']) {
+    if (props[key] !== undefined) {
+      ret[key] = props[key];
+    }
+  }
+  if (props.headers !== undefined) {
+    ret.headers = { ...props.headers };
+  }
+  return ret;
+}
+
+module.exports = {
+  promisify,
+  toMsgProps,
+  waitConnected,
+};
@@ -1,12 +1,15 @@
 'use strict';
 
+const assert = require('assert');
 const { Agent } = require('http');
 
 const superagent = require('superagent');
 
 const gmq = require('..');
+const { Errors, Events, Status } = require('../lib/constants');
 const conn = require('./common-connection');
 const queue = require('./common-queue');
+const rpc = require('./common-rpc');
 
 const engine = gmq.amqp;
 const keepAliveAgent = new Agent({ keepAlive: true });
@@ -23,10 +26,16 @@ describe('amqp', function () {
     it('connect() with handler', conn.connectWithHandler(engine));
     it('connect() after connect()', conn.connectAfterConnect(engine));
     it.skip('connect() with insecure', conn.connectInsecure(engine));
+    it('connect() with wrong certificate files', conn.connectTlsFileError(engine));
+    it('connect() with malformed certificate files', conn.connectTlsPemError(engine));
 
     it('close()', conn.close(engine));
     it('close() after close()', conn.closeAfterClose(engine));
     it('close() without callback', conn.closeNoCallback(engine));
+    it('connect()/close() with Promise', conn.connectClosePromise(engine));
+    it('connect() with timeout', conn.connectTimeout(engine));
+    it('connect() with failover', conn.connectFailover(engine));
+    it('reconnect with limit', conn.reconnectLimit(engine));
 
     afterEach(conn.afterEach);
   });
@@ -55,6 +64,7 @@ describe('amqp', function () {
 
   describe('Senarios', function () {
     it('reconnect', queue.reconnect(engine));
+    it('reconnect with limit', queue.reconnectLimit(engine));
 
     it('unicast 1 to 1', queue.dataUnicast1to1(engine));
     it('unicast 1 to 3', queue.dataUnicast1to3(engine));
@@ -67,13 +77,331 @@ describe('amqp', function () {
 
     it('persistent', queue.dataPersistent(engine));
     it('nack', queue.dataNack(engine));
+    it('nack best effort', queue.dataNackBestEffort(engine));
     it('ack/nack with wrong parameters', queue.dataAckNackWrong(engine));
+    it('Promise', queue.dataPromise(engine));
+    it('prefetch', queue.dataPrefetch(engine));
+    it('properties', queue.dataProperties(engine));
+    it('metrics', queue.dataMetrics(engine));
+    it('logger', queue.dataLogger(engine));
+    it('compression', queue.dataCompression(engine));
+    it('errors without listeners', queue.dataNoErrorListener(engine));
+    it('envelope', queue.dataEnvelope(engine));
+    it('send buffer', queue.dataSendBuffer(engine));
+    it('drain on close', queue.dataDrain(engine));
+    it('ack timeout', queue.dataAckTimeout(engine));
+    it('async iterator', queue.dataMessages(engine));
+    it('writable stream', queue.dataWritable(engine));
+    it('dead-letter and retry', dataDeadLetter);
+    it('retry with a conflicting retry queue', dataRetryConflict);
+    it('queue arguments, priority and expiration', dataQueueArguments);
+    it('durable broadcast subscription', dataSubscription);
+    it('unroutable messages', dataUnroutable);
 
     afterEach(queue.afterEach);
     after(removeRabbitmqQueues);
   });
+
+  describe('RPC', function () {
+    it('new with wrong opts', rpc.newWrongOpts(engine));
+    it('call', rpc.call(engine));
+    it('call with timeout and cancellation', rpc.callTimeout(engine));
+    it('call many servers', rpc.callManyServers(engine));
+
+    afterEach(rpc.afterEach);
+    after(removeRabbitmqQueues);
+  });
 });
 
+/**
+ * Test delayed retry and dead-letter with `maxDeliveries`.
+ */
+async function dataDeadLetter() {
+  const conn = new engine.Connection();
+  assert.ok(conn);
+  queue.conn.push(conn);
+
+  const opts = {
+    name: 'name-dead',
+    isRecv: false,
+    reliable: true,
+    broadcast: false,
+    prefetch: 1,
+    deadLetter: true,
+    maxDeliveries: 3,
+    retryDelayMillis: 100,
+  };
+  const sendQueue = new engine.Queue(opts, conn);
+  queue.queues.push(sendQueue);
+  const recvQueue = new engine.Queue({ ...opts, isRecv: true }, conn);
+  queue.queues.push(recvQueue);
+  const dlqOpts = {
+    name: 'name-dead.dlq',
+    isRecv: true,
+    reliable: true,
+    broadcast: false,
+    prefetch: 1,
+  };
+  const dlqQueue = new engine.Queue(dlqOpts, conn);
+  queue.queues.push(dlqQueue);
+
+  const recvTimes = [];
+  recvQueue.setMsgHandler(async (queue, msg) => {
+    recvTimes.push(Date.now());
+    await queue.nack(msg);
+  });
+  const dlqMessages = [];
+  dlqQueue.setMsgHandler(async (queue, msg) => {
+    dlqMessages.push(msg);
+    await queue.ack(msg);
+  });
+
+  await conn.connect();
+  await Promise.all([sendQueue.connect(), recvQueue.connect(), dlqQueue.connect()]);
+  await sendQueue.sendMsg(Buffer.from('1'));
+
+  for (let retry = 150; retry >= 0 && dlqMessages.length === 0; retry--) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.strictEqual(recvTimes.length, 3);
+  assert.ok(recvTimes[1] - recvTimes[0] >= 100);
+  assert.ok(recvTimes[2] - recvTimes[1] >= 200);
+  assert.strictEqual(dlqMessages.length, 1);
+  assert.strictEqual(dlqMessages[0].payload.toString(), '1');
+  assert.strictEqual(dlqMessages[0].properties.headers['x-retry-count'], 2);
+}
+
+/**
+ * Test retrying with the retry queue that exists with different arguments.
+ */
+async function dataRetryConflict() {
+  const conn = new engine.Connection();
+  assert.ok(conn);
+  queue.conn.push(conn);
+  await conn.connect();
+
+  // Declare the retry queue with another TTL.
+  await new Promise((resolve, reject) => {
+    conn.getRawConnection().createChannel((err, channel) => {
+      if (err) {
+        return void reject(err);
+      }
+      const opts = { durable: true, arguments: { 'x-message-ttl': 1 } };
+      channel.assertQueue('name-conflict.retry.100', opts, (err) => {
+        channel.close(() => {});
+        if (err) {
+          return void reject(err);
+        }
+        resolve();
+      });
+    });
+  });
+
+  const opts = {
+    name: 'name-conflict',
+    isRecv: false,
+    reliable: true,
+    broadcast: false,
+    prefetch: 1,
+    retryDelayMillis: 100,
+  };
+  const sendQueue = new engine.Queue(opts, conn);
+  queue.queues.push(sendQueue);
+  const recvQueue = new engine.Queue({ ...opts, isRecv: true }, conn);
+  queue.queues.push(recvQueue);
+
+  const nackErrors = [];
+  recvQueue.setMsgHandler((queue, msg) => {
+    queue.nack(msg, (err) => {
+      nackErrors.push(err);
+    });
+  });
+  const errors = [];
+  recvQueue.on(Events.Error, (err) => {
+    errors.push(err);
+  });
+
+  await Promise.all([sendQueue.connect(), recvQueue.connect()]);
+  await sendQueue.sendMsg(Buffer.from('1'));
+
+  for (let retry = 150; retry >= 0 && nackErrors.length === 0; retry--) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(nackErrors[0]);
+  assert.ok(errors.includes(nackErrors[0]));
+  // The queue creates a new channel after the channel is closed by the broker.
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  await recvQueue.connect(1000);
+  assert.strictEqual(recvQueue.status(), Status.Connected);
+}
+
+async function dataQueueArguments() {
+  const conn = new engine.Connection();
+  assert.ok(conn);
+  queue.conn.push(conn);
+
+  const opts = {
+    name: 'name-args',
+    isRecv: false,
+    reliable: true,
+    broadcast: false,
+    prefetch: 1,
+    queueType: gmq.constants.AmqpQueueType.Classic,
+    arguments: { 'x-max-priority': 10, 'x-max-length': 100 },
+  };
+  const sendQueue = new engine.Queue(opts, conn);
+  queue.queues.push(sendQueue);
+  const recvQueue = new engine.Queue({ ...opts, isRecv: true }, conn);
+  queue.queues.push(recvQueue);
+  const quorumQueue = new engine.Queue(
+    { ...opts, name: 'name-quorum', queueType: gmq.constants.AmqpQueueType.Quorum, arguments: {} },
+    conn
+  );
+  queue.queues.push(quorumQueue);
+
+  await conn.connect();
+  await Promise.all([sendQueue.connect(), quorumQueue.connect()]);
+  // Send messages before consuming to be ordered by priorities.
+  await sendQueue.sendMsg(Buffer.from('low'), { priority: 1 });
+  await sendQueue.sendMsg(Buffer.from('high'), { priority: 9 });
+  await sendQueue.sendMsg(Buffer.from('expired'), { expiration: 1 });
+  await sendQueue.sendMsg(Buffer.from('expiration'), { expiration: 60000 });
+  await quorumQueue.sendMsg(Buffer.from('quorum'));
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const recvMessages = [];
+  recvQueue.setMsgHandler(async (queue, msg) => {
+    recvMessages.push(msg);
+    await queue.ack(msg);
+  });
+  await recvQueue.connect();
+  for (let retry = 150; retry >= 0 && recvMessages.length < 3; retry--) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.strictEqual(recvMessages.length, 3);
+  assert.strictEqual(recvMessages[0].payload.toString(), 'high');
+  assert.strictEqual(recvMessages[0].properties.priority, 9);
+  assert.strictEqual(recvMessages[1].payload.toString(), 'low');
+  assert.strictEqual(recvMessages[2].payload.toString(), 'expiration');
+  assert.strictEqual(recvMessages[2].properties.expiration, 60000);
+
+  // Declaring with different arguments fails.
+  const wrongQueue = new engine.Queue({ ...opts, arguments: { 'x-max-length': 10 } }, conn);
+  queue.queues.push(wrongQueue);
+  const errors = [];
+  wrongQueue.on(gmq.constants.Events.Error, (err) => errors.push(err));
+  wrongQueue.connect();
+  for (let retry = 150; retry >= 0 && errors.length === 0; retry--) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(errors.length > 0);
+}
+
+async function dataSubscription() {
+  const conn = new engine.Connection();
+  assert.ok(conn);
+  queue.conn.push(conn);
+
+  const opts = {
+    name: 'name-sub',
+    isRecv: false,
+    reliable: true,
+    broadcast: true,
+  };
+  const sendQueue = new engine.Queue(opts, conn);
+  queue.queues.push(sendQueue);
+  const recvOpts = {
+    ...opts,
+    isRecv: true,
+    prefetch: 10,
+    subscriptionName: 'cache',
+    subscriptionExpiresMillis: 60000,
+  };
+  const recvQueue = new engine.Queue(recvOpts, conn);
+  queue.queues.push(recvQueue);
+  const tempQueue = new engine.Queue({ ...opts, isRecv: true, prefetch: 10 }, conn);
+  queue.queues.push(tempQueue);
+
+  const recvMessages = [];
+  recvQueue.setMsgHandler(async (queue, msg) => {
+    recvMessages.push(msg.payload.toString());
+    await queue.ack(msg);
+  });
+  const tempMessages = [];
+  tempQueue.setMsgHandler(async (queue, msg) => {
+    tempMessages.push(msg.payload.toString());
+    await queue.ack(msg);
+  });
+
+  await conn.connect();
+  await Promise.all([sendQueue.connect(), recvQueue.connect(), tempQueue.connect()]);
+  await sendQueue.sendMsg(Buffer.from('1'));
+  for (let retry = 150; retry >= 0 && recvMessages.length < 1; retry--) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  // Messages are kept by the subscription queue while receivers are closed.
+  await Promise.all([recvQueue.close(), tempQueue.close()]);
+  await sendQueue.sendMsg(Buffer.from('2'));
+  await Promise.all([recvQueue.connect(), tempQueue.connect()]);
+  for (let retry = 150; retry >= 0 && recvMessages.length < 2; retry--) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.deepStrictEqual(recvMessages, ['1', '2']);
+  assert.deepStrictEqual(tempMessages, ['1']);
+}
+
+/**
+ * Test reliable sends without bound queues.
+ */
+async function dataUnroutable() {
+  const conn = new engine.Connection();
+  assert.ok(conn);
+  queue.conn.push(conn);
+
+  const opts = {
+    name: 'name-unroutable',
+    isRecv: false,
+    reliable: true,
+    broadcast: true,
+  };
+  const sendQueue = new engine.Queue(opts, conn);
+  queue.queues.push(sendQueue);
+  const recvQueue = new engine.Queue({ ...opts, isRecv: true, prefetch: 10 }, conn);
+  queue.queues.push(recvQueue);
+
+  const returned = [];
+  sendQueue.on(Events.Returned, (msg) => {
+    returned.push(msg);
+  });
+  const recvMessages = [];
+  recvQueue.setMsgHandler(async (queue, msg) => {
+    recvMessages.push(msg.payload.toString());
+    await queue.ack(msg);
+  });
+
+  await conn.connect();
+  await sendQueue.connect();
+  await assert.rejects(sendQueue.sendMsg(Buffer.from('1'), { messageId: 'id-1' }), {
+    message: Errors.Unroutable,
+  });
+  assert.strictEqual(returned.length, 1);
+  assert.strictEqual(returned[0].payload.toString(), '1');
+  assert.strictEqual(returned[0].properties.messageId, 'id-1');
+  assert.strictEqual(returned[0].replyCode, 312);
+  assert.strictEqual(returned[0].replyText, 'NO_ROUTE');
+  assert.strictEqual(sendQueue.metrics().sendErrors, 1);
+
+  // Messages are routable after the receiver binds the exchange.
+  await recvQueue.connect();
+  await sendQueue.sendMsg(Buffer.from('2'));
+  for (let retry = 150; retry >= 0 && recvMessages.length < 1; retry--) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.deepStrictEqual(recvMessages, ['2']);
+  assert.strictEqual(returned.length, 1);
+}
+
 function removeRabbitmqQueues(done) {
   function removeQueues(queues, callback) {
     const queue = queues.pop();
@@ -1,13 +1,17 @@
 'use strict';
 
 const assert = require('assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const zlib = require('zlib');
 
 const async = require('async');
 
 const { AmqpConnection } = require('../lib/amqp-connection');
 const { AmqpQueue, AmqpQueueMsgHandler, AmqpMessage } = require('../lib/amqp-queue');
 const gmq = require('..');
-const { Errors, Events, Status } = require('../lib/constants');
+const { Errors, Events, SendBufferOverflow, Status } = require('../lib/constants');
 const { MqttConnection } = require('../lib/mqtt-connection');
 const { MqttQueue, MqttQueueMsgHandler, MqttMessage } = require('../lib/mqtt-queue');
 
@@ -135,6 +139,11 @@ function newZero(engine) {
       reconnectMillis: 0,
     };
     assert.ok(new engine.Queue(opts, conn));
+
+    if (engine === gmq.mqtt) {
+      const conn = new engine.Connection({ protocolVersion: 5 });
+      assert.ok(new engine.Queue({ ...opts, messageExpiryInterval: 0 }, conn));
+    }
   };
 }
 
@@ -198,6 +207,17 @@ function newWrongOpts(engine) {
       };
       new engine.Queue(opts, conn);
     });
+    assert.throws(() => {
+      const opts = {
+        name: 'name',
+        isRecv: true,
+        reliable: true,
+        broadcast: false,
+        prefetch: 1,
+        ackTimeoutMillis: -1,
+      };
+      new engine.Queue(opts, conn);
+    });
     assert.throws(() => {
       const opts = {
         name: 'name',
@@ -207,6 +227,96 @@ function newWrongOpts(engine) {
       };
       new engine.Queue(opts, conn);
     });
+    const wrongBufferOpts = [
+      { bufferMaxCount: 0 },
+      { bufferMaxBytes: 0.1 },
+      { bufferMaxCount: 1, bufferOverflow: 'drop' },
+    ];
+    for (const bufferOpts of wrongBufferOpts) {
+      assert.throws(() => {
+        const opts = {
+          name: 'name',
+          isRecv: false,
+          reliable: false,
+          broadcast: false,
+          ...bufferOpts,
+        };
+        new engine.Queue(opts, conn);
+      });
+    }
+    const wrongCompressionOpts = [
+      { compression: 'zip' },
+      { compression: 'gzip', compressionThreshold: -1 },
+      { compression: 'gzip', maxDecompressedBytes: 0 },
+    ];
+    for (const compressionOpts of wrongCompressionOpts) {
+      assert.throws(() => {
+        const opts = {
+          name: 'name',
+          isRecv: false,
+          reliable: false,
+          broadcast: false,
+          ...compressionOpts,
+        };
+        new engine.Queue(opts, conn);
+      });
+    }
+    const keyRing = new gmq.KeyRing({ key1: Buffer.alloc(32) });
+    const wrongEnvelopeOpts = [
+      { envelope: null },
+      { envelope: { keyRing: {} } },
+      { envelope: { keyRing } },
+      { envelope: { keyRing: new gmq.KeyRing({ key1: Buffer.alloc(32) }, 'key1'), sign: 0 } },
+      {
+        envelope: {
+          keyRing: new gmq.KeyRing({ key1: Buffer.alloc(32) }, 'key1'),
+          sign: false,
+          encrypt: false,
+        },
+      },
+    ];
+    for (const envelopeOpts of wrongEnvelopeOpts) {
+      assert.throws(() => {
+        const opts = {
+          name: 'name',
+          isRecv: false,
+          reliable: false,
+          broadcast: false,
+          ...envelopeOpts,
+        };
+        new engine.Queue(opts, conn);
+      });
+    }
+    assert.throws(() => {
+      const opts = {
+        name: 'name',
+        isRecv: false,
+        reliable: false,
+        broadcast: false,
+        logger: { debug: () => {}, info: () => {}, warn: 1, error: () => {} },
+      };
+      new engine.Queue(opts, conn);
+    });
+    if (engine !== gmq.memory) {
+      const wrongBackoffOpts = [
+        { reconnectMultiplier: 0.5 },
+        { reconnectMaxMillis: -1 },
+        { reconnectJitter: -0.1 },
+        { reconnectMaxAttempts: -1 },
+      ];
+      for (const backoffOpts of wrongBackoffOpts) {
+        assert.throws(() => {
+          const opts = {
+            name: 'name',
+            isRecv: false,
+            reliable: false,
+            broadcast: false,
+            ...backoffOpts,
+          };
+          new engine.Queue(opts, conn);
+        });
+      }
+    }
 
     if (engine === gmq.amqp) {
       assert.throws(() => {
@@ -230,6 +340,92 @@ function newWrongOpts(engine) {
         };
         new engine.Queue(opts, conn);
       });
+      const wrongRetryOpts = [
+        { deadLetter: 0 },
+        { maxDeliveries: 0 },
+        { retryDelayMillis: 0 },
+        { retryMultiplier: 0.5 },
+        { retryMaxDelayMillis: 0.1 },
+      ];
+      for (const retryOpts of wrongRetryOpts) {
+        assert.throws(() => {
+          const opts = {
+            name: 'name',
+            isRecv: true,
+            reliable: true,
+            broadcast: false,
+            prefetch: 1,
+            ...retryOpts,
+          };
+          new engine.Queue(opts, conn);
+        });
+      }
+      assert.throws(() => {
+        const opts = {
+          name: 'name',
+          isRecv: true,
+          reliable: true,
+          broadcast: true,
+          prefetch: 1,
+          deadLetter: true,
+        };
+        new engine.Queue(opts, conn);
+      });
+      const wrongArgumentsOpts = [
+        { queueType: 'stream' },
+        { arguments: [] },
+        { arguments: { 'max-length': 1 } },
+        { arguments: { 'x-max-length': null } },
+        { queueType: 'quorum', arguments: { 'x-queue-type': 'quorum' } },
+        { deadLetter: true, arguments: { 'x-dead-letter-exchange': 'dlx' } },
+        { broadcast: true, queueType: 'quorum' },
+        { broadcast: true, arguments: { 'x-max-length': 1 } },
+      ];
+      const wrongSubscriptionOpts = [
+        { broadcast: true, subscriptionName: 'A' },
+        { broadcast: true, subscriptionName: 1 },
+        { broadcast: false, subscriptionName: 'sub' },
+        { broadcast: true, isRecv: false, subscriptionName: 'sub' },
+        { broadcast: true, subscriptionName: 'sub', subscriptionExpiresMillis: 0 },
+        { broadcast: true, subscriptionExpiresMillis: 1000 },
+      ];
+      for (const subscriptionOpts of wrongSubscriptionOpts) {
+        assert.throws(() => {
+          const opts = {
+            name: 'name',
+            isRecv: true,
+            reliable: true,
+            broadcast: false,
+            prefetch: 1,
+            ...subscriptionOpts,
+          };
+          new engine.Queue(opts, conn);
+        });
+      }
+      for (const argumentsOpts of wrongArgumentsOpts) {
+        assert.throws(() => {
+          const opts = {
+            name: 'name',
+            isRecv: true,
+            reliable: true,
+            broadcast: false,
+            prefetch: 1,
+            ...argumentsOpts,
+          };
+          new engine.Queue(opts, conn);
+        });
+      }
+    } else if (engine === gmq.memory) {
+      assert.throws(() => {
+        const opts = {
+          name: 'name',
+          isRecv: true,
+          reliable: false,
+          broadcast: false,
+          prefetch: 0,
+        };
+        new engine.Queue(opts, conn);
+      });
     } else if (engine === gmq.mqtt) {
       assert.throws(() => {
         const opts = {
@@ -241,6 +437,66 @@ function newWrongOpts(engine) {
         };
         new engine.Queue(opts, conn);
       });
+      assert.throws(() => {
+        const opts = {
+          name: 'name',
+          isRecv: true,
+          reliable: true,
+          broadcast: false,
+          prefetch: 0,
+        };
+        new engine.Queue(opts, conn);
+      });
+      assert.throws(() => {
+        const opts = {
+          name: 'name',
+          isRecv: false,
+          reliable: false,
+          broadcast: false,
+          messageExpiryInterval: 10,
+        };
+        new engine.Queue(opts, conn);
+      });
+      assert.throws(() => {
+        const opts = {
+          name: 'name',
+          isRecv: false,
+          reliable: false,
+          broadcast: false,
+          compression: 'gzip',
+        };
+        new engine.Queue(opts, conn);
+      });
+      assert.throws(() => {
+        const opts = {
+          name: 'name',
+          isRecv: false,
+          reliable: false,
+          broadcast: false,
+          messageExpiryInterval: -1,
+        };
+        new engine.Queue(opts, new engine.Connection({ protocolVersion: 5 }));
+      });
+      assert.throws(() => {
+        const opts = {
+          name: 'name',
+          isRecv: false,
+          reliable: false,
+          broadcast: false,
+          retain: 1,
+        };
+        new engine.Queue(opts, conn);
+      });
+      assert.throws(() => {
+        const opts = {
+          name: 'name',
+          isRecv: true,
+          reliable: true,
+          broadcast: false,
+          nackDelayMillis: -1,
+        };
+        new engine.Queue(opts, conn);
+      });
     }
   };
 }
@@ -520,7 +776,28 @@ function sendError(engine) {
       queue.sendMsg('payload');
     });
     assert.throws(() => {
-      queue.sendMsg(Buffer.from(''), {});
+      queue.sendMsg(Buffer.from(''), {}, {});
+    });
+    assert.throws(() => {
+      queue.sendMsg(Buffer.from(''), null, 1);
+    });
+    assert.throws(() => {
+      queue.sendMsg(Buffer.from(''), [], () => {});
+    });
+    assert.throws(() => {
+      queue.sendMsg(Buffer.from(''), { contentType: 1 }, () => {});
+    });
+    assert.throws(() => {
+      queue.sendMsg(Buffer.from(''), { timestamp: 'now' }, () => {});
+    });
+    assert.throws(() => {
+      queue.sendMsg(Buffer.from(''), { headers: { key: 1 } }, () => {});
+    });
+    assert.throws(() => {
+      queue.sendMsg(Buffer.from(''), { priority: 256 }, () => {});
+    });
+    assert.throws(() => {
+      queue.sendMsg(Buffer.from(''), { expiration: -1 }, () => {});
     });
 
     async.waterfall(
@@ -623,6 +900,45 @@ function reconnect(engine) {
   };
 }
 
+/**
+ * Test rejecting buffered messages after exceeding `reconnectMaxAttempts` while the connection
+ * stays down.
+ *
+ * @param {Engine} engine
+ */
+function reconnectLimit(engine) {
+  return async function () {
+    const conn = new engine.Connection();
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      reconnectMillis: 10,
+      reconnectMultiplier: 2,
+      reconnectMaxAttempts: 2,
+      bufferMaxCount: 1,
+    };
+    const queue = new engine.Queue(opts, conn);
+    assert.ok(queue);
+    module.exports.queues.push(queue);
+    const errors = [];
+    queue.on(Events.Error, (err) => {
+      errors.push(err);
+    });
+
+    // The connection is not connected, so the queue runs out of attempts.
+    const connectPromise = queue.connect(0);
+    await assert.rejects(queue.sendMsg(Buffer.from('1')), { message: Errors.ReconnectLimit });
+    await assert.rejects(connectPromise, { message: Errors.NotConnected });
+    assert.strictEqual(queue.status(), Status.Disconnected);
+    assert.ok(errors.find((err) => err.message === Errors.ReconnectLimit));
+  };
+}
+
 /**
  * Send unicast data to one receiver.
  *
@@ -1526,6 +1842,1080 @@ function dataNack(engine) {
   };
 }
 
+/**
+ * Test NACK of best-effort receivers and then the queue will receive the data again like AMQP.
+ *
+ * @param {Engine} engine
+ */
+function dataNackBestEffort(engine) {
+  return async function () {
+    const conn = new engine.Connection();
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: false,
+      broadcast: false,
+      prefetch: 1,
+    };
+    const sendQueue = new engine.Queue(opts, conn);
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const recvQueue = new engine.Queue({ ...opts, isRecv: true }, conn);
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+
+    const received = [];
+    recvQueue.setMsgHandler(async (queue, msg) => {
+      received.push(msg.payload.toString());
+      if (received.length > 1) {
+        return void (await queue.ack(msg));
+      }
+      await queue.nack(msg);
+    });
+
+    await conn.connect();
+    await Promise.all([sendQueue.connect(), recvQueue.connect()]);
+    await sendQueue.sendMsg(Buffer.from('1'));
+    for (let retry = 150; retry >= 0 && received.length < 2; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.deepStrictEqual(received, ['1', '1']);
+  };
+}
+
+/**
+ * Test `connect()`, `sendMsg()`, `ack()`, `nack()` and `close()` with Promises.
+ *
+ * @param {Engine} engine
+ */
+function dataPromise(engine) {
+  return async function () {
+    const conn = new engine.Connection();
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    let recvConn = conn;
+    if (engine === gmq.mqtt) {
+      recvConn = new engine.Connection();
+      assert.ok(recvConn);
+      module.exports.conn.push(recvConn);
+    }
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      prefetch: 1,
+      sharedPrefix: '$share/general-mq/',
+    };
+    const sendQueue = new engine.Queue(opts, conn);
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const recvQueue = new engine.Queue({ ...opts, isRecv: true }, recvConn);
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+
+    const recvMessages = [];
+    let nacked = false;
+    recvQueue.setMsgHandler(async (queue, msg) => {
+      if (!nacked) {
+        nacked = true;
+        return void (await queue.nack(msg));
+      }
+      await queue.ack(msg);
+      recvMessages.push(msg.payload.toString());
+    });
+
+    assert.throws(() => {
+      sendQueue.connect(-1);
+    });
+    await Promise.all([conn.connect(), recvConn.connect()]);
+    await Promise.all([sendQueue.connect(), recvQueue.connect(1000)]);
+    await sendQueue.sendMsg(Buffer.from('1'));
+    await assert.rejects(recvQueue.sendMsg(Buffer.from('1')), {
+      message: Errors.QueueIsReceiver,
+    });
+
+    for (let retry = 150; retry >= 0 && recvMessages.length === 0; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.deepStrictEqual(recvMessages, ['1']);
+    assert.ok(nacked);
+
+    await recvQueue.close();
+    assert.strictEqual(recvQueue.status(), Status.Closed);
+  };
+}
+
+/**
+ * Test that receivers hold at most `prefetch` unacknowledged messages.
+ *
+ * @param {Engine} engine
+ */
+function dataPrefetch(engine) {
+  return async function () {
+    const conn = new engine.Connection();
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    let recvConn = conn;
+    if (engine === gmq.mqtt) {
+      recvConn = new engine.Connection();
+      assert.ok(recvConn);
+      module.exports.conn.push(recvConn);
+    }
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      prefetch: 2,
+      sharedPrefix: '$share/general-mq/',
+    };
+    const sendQueue = new engine.Queue(opts, conn);
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const recvQueue = new engine.Queue({ ...opts, isRecv: true }, recvConn);
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+
+    const recvMessages = [];
+    recvQueue.setMsgHandler((_queue, msg) => {
+      recvMessages.push(msg);
+    });
+
+    await Promise.all([conn.connect(), recvConn.connect()]);
+    await Promise.all([sendQueue.connect(), recvQueue.connect()]);
+    for (const payload of ['1', '2', '3', '4', '5']) {
+      await sendQueue.sendMsg(Buffer.from(payload));
+    }
+
+    const waitCount = async function (count) {
+      for (let retry = 150; retry >= 0 && recvMessages.length < count; retry--) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      // Wait more time to make sure that there are no more messages.
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.strictEqual(recvMessages.length, count);
+    };
+    await waitCount(2);
+    await recvQueue.ack(recvMessages[0]);
+    await waitCount(3);
+    await Promise.all(recvMessages.slice(1).map((msg) => recvQueue.ack(msg)));
+    await waitCount(5);
+    await Promise.all(recvMessages.slice(3).map((msg) => recvQueue.ack(msg)));
+    assert.deepStrictEqual(
+      recvMessages.map((msg) => msg.payload.toString()),
+      ['1', '2', '3', '4', '5']
+    );
+  };
+}
+
+/**
+ * Test draining in-flight messages with `close()`.
+ *
+ * @param {Engine} engine
+ */
+function dataDrain(engine) {
+  return async function () {
+    const conn = new engine.Connection();
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    let recvConn = conn;
+    if (engine === gmq.mqtt) {
+      recvConn = new engine.Connection();
+      assert.ok(recvConn);
+      module.exports.conn.push(recvConn);
+    }
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      prefetch: 10,
+      sharedPrefix: '$share/general-mq/',
+    };
+    const sendQueue = new engine.Queue(opts, conn);
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const recvQueue = new engine.Queue({ ...opts, isRecv: true }, recvConn);
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+
+    assert.throws(() => recvQueue.close([]));
+    assert.throws(() => recvQueue.close({ drainTimeoutMillis: -1 }));
+    assert.throws(() => recvQueue.close({ drainTimeoutMillis: 0.5 }, () => {}));
+
+    const received = [];
+    recvQueue.setMsgHandler((queue, msg) => {
+      received.push(msg);
+    });
+    await Promise.all([conn.connect(), recvConn.connect()]);
+    await Promise.all([sendQueue.connect(), recvQueue.connect()]);
+
+    // The handler acknowledges the message before the deadline.
+    await sendQueue.sendMsg(Buffer.from('1'));
+    for (let retry = 150; retry >= 0 && received.length < 1; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(received.length, 1);
+    setTimeout(() => recvQueue.ack(received[0], () => {}), 100);
+    const start = Date.now();
+    await recvQueue.close({ drainTimeoutMillis: 5000 });
+    assert.ok(Date.now() - start >= 90);
+    assert.strictEqual(recvQueue.status(), Status.Closed);
+    let metrics = recvQueue.metrics();
+    assert.strictEqual(metrics.acked, 1);
+    assert.strictEqual(metrics.inFlight, 0);
+
+    // The message is not acknowledged before the deadline.
+    await recvQueue.connect();
+    await sendQueue.sendMsg(Buffer.from('2'));
+    for (let retry = 150; retry >= 0 && received.length < 2; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(received.length, 2);
+    await recvQueue.close({ drainTimeoutMillis: 100 });
+    metrics = recvQueue.metrics();
+    assert.strictEqual(metrics.nacked, 1);
+    assert.strictEqual(metrics.inFlight, 0);
+    // Late acknowledgements are ignored.
+    await recvQueue.ack(received[1]);
+    if (engine === gmq.mqtt) {
+      return;
+    }
+
+    // The requeued message is received again.
+    await recvQueue.connect();
+    for (let retry = 150; retry >= 0 && received.length < 3; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(received.length, 3);
+    assert.strictEqual(received[2].payload.toString(), '2');
+    await recvQueue.ack(received[2]);
+  };
+}
+
+/**
+ * Test NACK-ing messages that are not acknowledged in time.
+ *
+ * @param {Engine} engine
+ */
+function dataAckTimeout(engine) {
+  return async function () {
+    const conn = new engine.Connection();
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    let recvConn = conn;
+    if (engine === gmq.mqtt) {
+      recvConn = new engine.Connection();
+      assert.ok(recvConn);
+      module.exports.conn.push(recvConn);
+    }
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      prefetch: 1,
+      sharedPrefix: '$share/general-mq/',
+    };
+    const sendQueue = new engine.Queue(opts, conn);
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const recvQueue = new engine.Queue({ ...opts, isRecv: true, ackTimeoutMillis: 100 }, recvConn);
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+
+    // The handler acknowledges the first delivery after the timeout.
+    const received = [];
+    let lateAck;
+    recvQueue.setMsgHandler((queue, msg) => {
+      received.push(msg.payload.toString());
+      if (received.length > 1) {
+        return void queue.ack(msg, () => {});
+      }
+      lateAck = new Promise((resolve) => {
+        setTimeout(() => {
+          queue.ack(msg, resolve);
+        }, 150);
+      });
+    });
+    const errors = [];
+    recvQueue.on(Events.Error, (err) => {
+      errors.push(err);
+    });
+    await Promise.all([conn.connect(), recvConn.connect()]);
+    await Promise.all([sendQueue.connect(), recvQueue.connect()]);
+    await sendQueue.sendMsg(Buffer.from('1'));
+
+    for (let retry = 150; retry >= 0 && received.length < 2; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    await lateAck;
+    // Wait more time to make sure that acknowledged messages do not time out and the late
+    // acknowledgement does not break the queue.
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.deepStrictEqual(received, ['1', '1']);
+    assert.strictEqual(recvQueue.status(), Status.Connected);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].message, Errors.AckTimeout);
+    assert.strictEqual(errors[0].queue, 'name');
+    const metrics = recvQueue.metrics();
+    assert.strictEqual(metrics.nacked, 1);
+    assert.strictEqual(metrics.acked, 1);
+    assert.strictEqual(metrics.inFlight, 0);
+  };
+}
+
+/**
+ * Test receiving messages with `messages()`.
+ *
+ * @param {Engine} engine
+ */
+function dataMessages(engine) {
+  return async function () {
+    const conn = new engine.Connection();
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    let recvConn = conn;
+    if (engine === gmq.mqtt) {
+      recvConn = new engine.Connection();
+      assert.ok(recvConn);
+      module.exports.conn.push(recvConn);
+    }
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      prefetch: 2,
+      sharedPrefix: '$share/general-mq/',
+    };
+    const sendQueue = new engine.Queue(opts, conn);
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const recvQueue = new engine.Queue({ ...opts, isRecv: true }, recvConn);
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+
+    assert.throws(() => sendQueue.messages(), { message: Errors.QueueIsSender });
+    let msgs = recvQueue.messages();
+    await Promise.all([conn.connect(), recvConn.connect()]);
+    await Promise.all([sendQueue.connect(), recvQueue.connect()]);
+    for (const payload of ['1', '2', '3', '4', '5']) {
+      await sendQueue.sendMsg(Buffer.from(payload));
+    }
+
+    // Breaking the loop closes the queue.
+    const received = [];
+    for await (const msg of msgs) {
+      received.push(msg.payload.toString());
+      await recvQueue.ack(msg);
+      if (received.length === 3) {
+        break;
+      }
+    }
+    assert.deepStrictEqual(received, ['1', '2', '3']);
+    assert.strictEqual(recvQueue.status(), Status.Closed);
+    assert.deepStrictEqual(await msgs.next(), { value: undefined, done: true });
+    if (engine === gmq.mqtt) {
+      return;
+    }
+
+    // Unacknowledged messages are received again and closing the queue ends the loop.
+    msgs = recvQueue.messages();
+    await recvQueue.connect();
+    for await (const msg of msgs) {
+      received.push(msg.payload.toString());
+      await recvQueue.ack(msg);
+      if (received.length === 5) {
+        recvQueue.close();
+      }
+    }
+    assert.deepStrictEqual(received.slice(3).sort(), ['4', '5']);
+  };
+}
+
+/**
+ * Test sending messages with `writable()`.
+ *
+ * @param {Engine} engine
+ */
+function dataWritable(engine) {
+  return async function () {
+    const conn = new engine.Connection();
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    let recvConn = conn;
+    if (engine === gmq.mqtt) {
+      recvConn = new engine.Connection();
+      assert.ok(recvConn);
+      module.exports.conn.push(recvConn);
+    }
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      prefetch: 10,
+      sharedPrefix: '$share/general-mq/',
+    };
+    const sendQueue = new engine.Queue(opts, conn);
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const recvQueue = new engine.Queue({ ...opts, isRecv: true }, recvConn);
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+
+    assert.throws(() => recvQueue.writable(), { message: Errors.QueueIsReceiver });
+    assert.throws(() => sendQueue.writable([]));
+    assert.throws(() => sendQueue.writable({ highWaterMark: 0 }));
+
+    const received = [];
+    recvQueue.setMsgHandler(async (queue, msg) => {
+      await queue.ack(msg);
+      received.push(msg);
+    });
+    await Promise.all([conn.connect(), recvConn.connect()]);
+    await Promise.all([sendQueue.connect(), recvQueue.connect()]);
+
+    const chunks = [
+      Buffer.from('1'),
+      '2',
+      { payload: Buffer.from('3'), props: { contentType: 'text/plain' } },
+    ];
+    await pipeline(Readable.from(chunks), sendQueue.writable({ highWaterMark: 1 }));
+    for (let retry = 150; retry >= 0 && received.length < 3; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.deepStrictEqual(
+      received.map((msg) => msg.payload.toString()),
+      ['1', '2', '3']
+    );
+    if (engine !== gmq.mqtt) {
+      assert.strictEqual(received[2].properties.contentType, 'text/plain');
+    }
+
+    // Errors of `sendMsg()` fail the stream.
+    await assert.rejects(pipeline(Readable.from([1]), sendQueue.writable()), {
+      message: '`payload` is not a Buffer',
+    });
+  };
+}
+
+/**
+ * Test buffering messages while the sender is connecting.
+ *
+ * @param {Engine} engine
+ */
+function dataSendBuffer(engine) {
+  return async function () {
+    const sendConn = new engine.Connection();
+    assert.ok(sendConn);
+    module.exports.conn.push(sendConn);
+    const recvConn = new engine.Connection();
+    assert.ok(recvConn);
+    module.exports.conn.push(recvConn);
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      prefetch: 1,
+      sharedPrefix: '$share/general-mq/',
+      bufferMaxCount: 2,
+    };
+    const sendQueue = new engine.Queue(opts, sendConn);
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const recvQueue = new engine.Queue({ ...opts, isRecv: true }, recvConn);
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+
+    const recvMessages = [];
+    recvQueue.setMsgHandler(async (queue, msg) => {
+      recvMessages.push(msg.payload.toString());
+      await queue.ack(msg);
+    });
+    await recvConn.connect();
+    await recvQueue.connect();
+
+    // Messages are rejected before `connect()`.
+    await assert.rejects(sendQueue.sendMsg(Buffer.from('0')), { message: Errors.NotConnected });
+
+    sendQueue.connect();
+    assert.strictEqual(sendQueue.status(), Status.Connecting);
+    const sendPromises = [sendQueue.sendMsg(Buffer.from('1')), sendQueue.sendMsg(Buffer.from('2'))];
+    await assert.rejects(sendQueue.sendMsg(Buffer.from('3')), { message: Errors.SendBufferFull });
+
+    await sendConn.connect();
+    await Promise.all(sendPromises);
+    for (let retry = 150; retry >= 0 && recvMessages.length < 2; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.deepStrictEqual(recvMessages, ['1', '2']);
+
+    // Test dropping the oldest message and closing with buffered messages.
+    const dropQueue = new engine.Queue(
+      { ...opts, bufferMaxCount: 1, bufferOverflow: SendBufferOverflow.DropOldest },
+      new engine.Connection()
+    );
+    assert.ok(dropQueue);
+    dropQueue.connect();
+    const dropPromise = dropQueue.sendMsg(Buffer.from('1'));
+    const closePromise = dropQueue.sendMsg(Buffer.from('2'));
+    await assert.rejects(dropPromise, { message: Errors.SendBufferFull });
+    await dropQueue.close();
+    await assert.rejects(closePromise, { message: Errors.NotConnected });
+  };
+}
+
+/**
+ * Test sending and receiving messages with properties.
+ *
+ * @param {Engine} engine
+ */
+function dataProperties(engine) {
+  return async function () {
+    const conn = new engine.Connection(engine === gmq.mqtt ? { protocolVersion: 5 } : undefined);
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    let recvConn = conn;
+    if (engine === gmq.mqtt) {
+      recvConn = new engine.Connection({ protocolVersion: 5 });
+      assert.ok(recvConn);
+      module.exports.conn.push(recvConn);
+    }
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      prefetch: 1,
+      sharedPrefix: '$share/general-mq/',
+    };
+    const sendQueue = new engine.Queue(opts, conn);
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const recvQueue = new engine.Queue({ ...opts, isRecv: true }, recvConn);
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+
+    const recvMessages = [];
+    recvQueue.setMsgHandler(async (queue, msg) => {
+      recvMessages.push(msg);
+      await queue.ack(msg);
+    });
+
+    await Promise.all([conn.connect(), recvConn.connect()]);
+    await Promise.all([sendQueue.connect(), recvQueue.connect()]);
+
+    const now = new Date(Math.floor(Date.now() / 1000) * 1000);
+    const props = {
+      contentType: 'application/json',
+      contentEncoding: 'identity',
+      messageId: 'id1',
+      timestamp: now,
+      replyTo: 'reply.name',
+      correlationId: 'correlation1',
+      headers: { key: 'value' },
+    };
+    await sendQueue.sendMsg(Buffer.from('1'), props);
+    await sendQueue.sendMsg(Buffer.from('2'));
+
+    for (let retry = 150; retry >= 0 && recvMessages.length < 2; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(recvMessages.length, 2);
+    assert.strictEqual(recvMessages[0].payload.toString(), '1');
+    assert.strictEqual(recvMessages[0].properties.contentType, props.contentType);
+    assert.strictEqual(recvMessages[0].properties.contentEncoding, props.contentEncoding);
+    assert.strictEqual(recvMessages[0].properties.messageId, props.messageId);
+    assert.strictEqual(recvMessages[0].properties.timestamp.getTime(), now.getTime());
+    assert.strictEqual(recvMessages[0].properties.replyTo, props.replyTo);
+    assert.strictEqual(recvMessages[0].properties.correlationId, props.correlationId);
+    assert.deepStrictEqual(recvMessages[0].properties.headers, props.headers);
+    assert.strictEqual(recvMessages[1].payload.toString(), '2');
+    assert.deepStrictEqual(recvMessages[1].properties, {});
+  };
+}
+
+/**
+ * Test compressing and decompressing payloads.
+ *
+ * @param {Engine} engine
+ */
+function dataCompression(engine) {
+  return async function () {
+    const connOpts = engine === gmq.mqtt ? { protocolVersion: 5 } : undefined;
+    const conn = new engine.Connection(connOpts);
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    let recvConn = conn;
+    if (engine === gmq.mqtt) {
+      recvConn = new engine.Connection(connOpts);
+      assert.ok(recvConn);
+      module.exports.conn.push(recvConn);
+    }
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: false,
+      broadcast: false,
+      prefetch: 10,
+      sharedPrefix: '$share/general-mq/',
+    };
+    const sendQueue = new engine.Queue(
+      { ...opts, compression: 'gzip', compressionThreshold: 10 },
+      conn
+    );
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const plainQueue = new engine.Queue(opts, conn);
+    assert.ok(plainQueue);
+    module.exports.queues.push(plainQueue);
+    const recvQueue = new engine.Queue(
+      { ...opts, isRecv: true, compression: 'br', maxDecompressedBytes: 1000 },
+      recvConn
+    );
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+
+    const recvMessages = [];
+    const errors = [];
+    recvQueue.setMsgHandler(async (queue, msg) => {
+      recvMessages.push(msg);
+      await queue.ack(msg);
+    });
+    recvQueue.on(Events.Error, (err) => {
+      errors.push(err);
+    });
+
+    await Promise.all([conn.connect(), recvConn.connect()]);
+    await Promise.all([sendQueue.connect(), plainQueue.connect(), recvQueue.connect()]);
+
+    const large = Buffer.from('0123456789'.repeat(10));
+    await sendQueue.sendMsg(large, { contentType: 'text/plain' });
+    await sendQueue.sendMsg(Buffer.from('small'));
+    await sendQueue.sendMsg(large, { contentEncoding: 'identity' });
+    await plainQueue.sendMsg(Buffer.from('plain'));
+    await plainQueue.sendMsg(Buffer.from('corrupted'), { contentEncoding: 'gzip' });
+    await plainQueue.sendMsg(zlib.deflateSync(large), { contentEncoding: 'deflate' });
+    // A small payload that is larger than `maxDecompressedBytes` after decompression.
+    await plainQueue.sendMsg(zlib.gzipSync(Buffer.alloc(100000)), { contentEncoding: 'gzip' });
+
+    for (let retry = 150; retry >= 0 && recvMessages.length + errors.length < 7; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(errors.length, 2);
+    assert.ok(errors.some((err) => err.message === Errors.DecompressLimit));
+    assert.strictEqual(recvMessages.length, 5);
+    const compressed = recvMessages.find((msg) => msg.properties.contentType === 'text/plain');
+    assert.ok(compressed);
+    assert.deepStrictEqual(compressed.payload, large);
+    assert.strictEqual(compressed.properties.contentEncoding, undefined);
+    const texts = recvMessages.map((msg) => msg.payload.toString());
+    assert.ok(texts.includes('small'));
+    assert.ok(texts.includes('plain'));
+    const identity = recvMessages.find((msg) => msg.properties.contentEncoding === 'identity');
+    assert.ok(identity);
+    assert.deepStrictEqual(identity.payload, large);
+    assert.strictEqual(texts.filter((text) => text === large.toString()).length, 3);
+  };
+}
+
+/**
+ * Test that errors of received messages without error listeners do not throw.
+ *
+ * @param {Engine} engine
+ */
+function dataNoErrorListener(engine) {
+  return async function () {
+    const connOpts = engine === gmq.mqtt ? { protocolVersion: 5 } : undefined;
+    const conn = new engine.Connection(connOpts);
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    let recvConn = conn;
+    if (engine === gmq.mqtt) {
+      recvConn = new engine.Connection(connOpts);
+      assert.ok(recvConn);
+      module.exports.conn.push(recvConn);
+    }
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      prefetch: 10,
+      sharedPrefix: '$share/general-mq/',
+    };
+    const sendQueue = new engine.Queue(opts, conn);
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const recvQueue = new engine.Queue({ ...opts, isRecv: true, compression: 'gzip' }, recvConn);
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+    const keyRing = new gmq.KeyRing({ key1: crypto.randomBytes(32) }, 'key1');
+    const envelopeOpts = { ...opts, name: 'name-envelope' };
+    const plainQueue = new engine.Queue(envelopeOpts, conn);
+    assert.ok(plainQueue);
+    module.exports.queues.push(plainQueue);
+    const signQueue = new engine.Queue({ ...envelopeOpts, envelope: { keyRing } }, conn);
+    assert.ok(signQueue);
+    module.exports.queues.push(signQueue);
+    const verifyQueue = new engine.Queue(
+      { ...envelopeOpts, isRecv: true, envelope: { keyRing } },
+      recvConn
+    );
+    assert.ok(verifyQueue);
+    module.exports.queues.push(verifyQueue);
+    const timeoutOpts = { ...opts, name: 'name-timeout', prefetch: 1 };
+    const timeoutSendQueue = new engine.Queue(timeoutOpts, conn);
+    assert.ok(timeoutSendQueue);
+    module.exports.queues.push(timeoutSendQueue);
+    const timeoutQueue = new engine.Queue(
+      { ...timeoutOpts, isRecv: true, ackTimeoutMillis: 100 },
+      recvConn
+    );
+    assert.ok(timeoutQueue);
+    module.exports.queues.push(timeoutQueue);
+
+    const recvMessages = [];
+    recvQueue.setMsgHandler(async (queue, msg) => {
+      recvMessages.push(msg);
+      await queue.ack(msg);
+    });
+    verifyQueue.setMsgHandler(async (queue, msg) => {
+      recvMessages.push(msg);
+      await queue.ack(msg);
+    });
+    // The handler does not acknowledge the first delivery.
+    const timeoutMessages = [];
+    timeoutQueue.setMsgHandler(async (queue, msg) => {
+      timeoutMessages.push(msg.payload.toString());
+      if (timeoutMessages.length > 1) {
+        await queue.ack(msg);
+      }
+    });
+
+    await Promise.all([conn.connect(), recvConn.connect()]);
+    for (const queue of module.exports.queues) {
+      await queue.connect();
+    }
+
+    await sendQueue.sendMsg(Buffer.from('corrupted'), { contentEncoding: 'gzip' });
+    await sendQueue.sendMsg(Buffer.from('plain'));
+    await plainQueue.sendMsg(Buffer.from('unsigned'));
+    await signQueue.sendMsg(Buffer.from('signed'));
+    await timeoutSendQueue.sendMsg(Buffer.from('timeout'));
+
+    for (let retry = 150; retry >= 0 && recvMessages.length + timeoutMessages.length < 4; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    for (const queue of [recvQueue, verifyQueue, timeoutQueue]) {
+      assert.strictEqual(queue.listenerCount(Events.Error), 0);
+      assert.strictEqual(queue.status(), Status.Connected);
+    }
+    assert.deepStrictEqual(recvMessages.map((msg) => msg.payload.toString()).sort(), [
+      'plain',
+      'signed',
+    ]);
+    assert.deepStrictEqual(timeoutMessages, ['timeout', 'timeout']);
+    assert.strictEqual(timeoutQueue.metrics().nacked, 1);
+  };
+}
+
+/**
+ * Test signing and encrypting payloads with key rotation.
+ *
+ * @param {Engine} engine
+ */
+function dataEnvelope(engine) {
+  return async function () {
+    const conn = new engine.Connection();
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    let recvConn = conn;
+    if (engine === gmq.mqtt) {
+      recvConn = new engine.Connection();
+      assert.ok(recvConn);
+      module.exports.conn.push(recvConn);
+    }
+
+    const key1 = crypto.randomBytes(32);
+    const key2 = crypto.randomBytes(32);
+    const sendRing = new gmq.KeyRing({ key1, key2 }, 'key1');
+    const recvRing = new gmq.KeyRing({ key1, key2 });
+    const otherRing = new gmq.KeyRing({ key1: crypto.randomBytes(32) }, 'key1');
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: false,
+      broadcast: false,
+      prefetch: 10,
+      sharedPrefix: '$share/general-mq/',
+    };
+    const sendQueue = new engine.Queue({ ...opts, envelope: { keyRing: sendRing } }, conn);
+    module.exports.queues.push(sendQueue);
+    const signQueue = new engine.Queue(
+      { ...opts, envelope: { keyRing: sendRing, encrypt: false } },
+      conn
+    );
+    module.exports.queues.push(signQueue);
+    const otherQueue = new engine.Queue({ ...opts, envelope: { keyRing: otherRing } }, conn);
+    module.exports.queues.push(otherQueue);
+    const plainQueue = new engine.Queue(opts, conn);
+    module.exports.queues.push(plainQueue);
+    const recvQueue = new engine.Queue(
+      { ...opts, isRecv: true, envelope: { keyRing: recvRing, encrypt: false } },
+      recvConn
+    );
+    module.exports.queues.push(recvQueue);
+
+    const recvMessages = [];
+    const errors = [];
+    recvQueue.setMsgHandler(async (queue, msg) => {
+      recvMessages.push(msg.payload.toString());
+      await queue.ack(msg);
+    });
+    recvQueue.on(Events.Error, (err) => {
+      errors.push(err);
+    });
+
+    await Promise.all([conn.connect(), recvConn.connect()]);
+    for (const queue of module.exports.queues) {
+      await queue.connect();
+    }
+    const waitFn = async function (count) {
+      for (let retry = 150; retry >= 0 && recvMessages.length + errors.length < count; retry--) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    };
+
+    await sendQueue.sendMsg(Buffer.from('encrypted'));
+    await signQueue.sendMsg(Buffer.from('signed'));
+    await otherQueue.sendMsg(Buffer.from('other'));
+    await plainQueue.sendMsg(Buffer.from('plain'));
+    await waitFn(4);
+    // Wait more time to make sure that rejected messages are not delivered again.
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.deepStrictEqual(recvMessages.sort(), ['encrypted', 'signed']);
+    assert.strictEqual(errors.length, 2);
+    for (const err of errors) {
+      assert.strictEqual(err.message, Errors.VerifyFailed);
+    }
+
+    // Rotate to key2 and remove key1.
+    sendRing.use('key2');
+    await sendQueue.sendMsg(Buffer.from('rotated'));
+    await waitFn(5);
+    assert.ok(recvMessages.includes('rotated'));
+    sendRing.use('key1');
+    recvRing.remove('key1');
+    await sendQueue.sendMsg(Buffer.from('removed'));
+    await waitFn(6);
+    assert.ok(!recvMessages.includes('removed'));
+    assert.strictEqual(errors.length, 3);
+
+    assert.throws(() => {
+      sendRing.remove('key1');
+    });
+    assert.throws(() => {
+      sendRing.use('key3');
+    });
+    assert.throws(() => {
+      sendRing.add('key3', Buffer.alloc(16));
+    });
+  };
+}
+
+/**
+ * Test metrics counters and the Prometheus text rendering.
+ *
+ * @param {Engine} engine
+ */
+function dataMetrics(engine) {
+  return async function () {
+    const conn = new engine.Connection();
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    let recvConn = conn;
+    if (engine === gmq.mqtt) {
+      recvConn = new engine.Connection();
+      assert.ok(recvConn);
+      module.exports.conn.push(recvConn);
+    }
+
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      prefetch: 10,
+      sharedPrefix: '$share/general-mq/',
+    };
+    const sendQueue = new engine.Queue(opts, conn);
+    assert.ok(sendQueue);
+    module.exports.queues.push(sendQueue);
+    const recvQueue = new engine.Queue({ ...opts, isRecv: true }, recvConn);
+    assert.ok(recvQueue);
+    module.exports.queues.push(recvQueue);
+
+    let nacked = false;
+    let acked = 0;
+    recvQueue.setMsgHandler(async (queue, msg) => {
+      if (!nacked) {
+        nacked = true;
+        return void (await queue.nack(msg));
+      }
+      await queue.ack(msg);
+      acked++;
+    });
+
+    await Promise.all([conn.connect(), recvConn.connect()]);
+    await Promise.all([sendQueue.connect(), recvQueue.connect()]);
+    assert.ok(conn.metrics().connects >= 1);
+    assert.ok(conn.metrics().lastConnected instanceof Date);
+    await sendQueue.sendMsg(Buffer.from('1'));
+    await sendQueue.sendMsg(Buffer.from('2'));
+    await assert.rejects(recvQueue.sendMsg(Buffer.from('3')));
+    for (let retry = 150; retry >= 0 && acked < 2; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    const sendMetrics = sendQueue.metrics();
+    assert.strictEqual(sendMetrics.sent, 2);
+    assert.strictEqual(sendMetrics.sendErrors, 0);
+    assert.ok(sendMetrics.lastConnected instanceof Date);
+    const recvMetrics = recvQueue.metrics();
+    assert.strictEqual(recvMetrics.sendErrors, 1);
+    assert.strictEqual(recvMetrics.received, 3);
+    assert.strictEqual(recvMetrics.acked, 2);
+    assert.strictEqual(recvMetrics.nacked, 1);
+    assert.strictEqual(recvMetrics.inFlight, 0);
+    assert.strictEqual(recvMetrics.handlerLatency.count, 3);
+    const buckets = recvMetrics.handlerLatency.buckets;
+    assert.strictEqual(buckets[buckets.length - 1].count, 3);
+
+    gmq.registerMetrics(conn, { service: 'test' });
+    gmq.registerMetrics(recvQueue, { service: 'test' });
+    try {
+      const text = gmq.renderMetrics();
+      assert.ok(text.includes('# TYPE gmq_connection_connects_total counter\n'));
+      assert.ok(text.includes('gmq_connection_up{service="test"} 1\n'));
+      assert.ok(
+        text.includes('gmq_queue_acked_total{service="test",queue="name",role="receiver"} 2\n')
+      );
+      assert.ok(text.includes('# TYPE gmq_queue_handler_duration_seconds histogram\n'));
+      assert.ok(
+        text.includes(
+          'gmq_queue_handler_duration_seconds_bucket{service="test",queue="name",role="receiver",le="+Inf"} 3\n'
+        )
+      );
+      assert.ok(!text.includes('role="sender"'));
+    } finally {
+      gmq.unregisterMetrics(conn);
+      gmq.unregisterMetrics(recvQueue);
+    }
+    assert.strictEqual(gmq.renderMetrics(), '');
+    // Closed targets are unregistered automatically.
+    gmq.registerMetrics(sendQueue);
+    assert.ok(gmq.renderMetrics().includes('role="sender"'));
+    await sendQueue.close();
+    assert.strictEqual(gmq.renderMetrics(), '');
+    assert.strictEqual(sendQueue.listenerCount(Events.Status), 0);
+    // Reconnected targets are registered again with their counters.
+    await sendQueue.connect();
+    assert.strictEqual(gmq.renderMetrics(), '');
+    gmq.registerMetrics(sendQueue);
+    try {
+      assert.ok(
+        gmq.renderMetrics().includes('gmq_queue_sent_total{queue="name",role="sender"} 2\n')
+      );
+    } finally {
+      gmq.unregisterMetrics(sendQueue);
+    }
+    assert.throws(() => {
+      gmq.registerMetrics({});
+    });
+    for (const key of ['queue', 'role', 'le']) {
+      assert.throws(() => {
+        gmq.registerMetrics(conn, { [key]: 'value' });
+      });
+    }
+    assert.throws(() => {
+      gmq.registerMetrics(conn, { 'a-b': 'value' });
+    });
+    assert.throws(() => {
+      gmq.registerMetrics(conn, { key: 1 });
+    });
+  };
+}
+
+/**
+ * Test structured logs of status and error events.
+ *
+ * @param {Engine} engine
+ */
+function dataLogger(engine) {
+  return async function () {
+    const logs = [];
+    const logger = {};
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+      logger[level] = (fields, msg) => logs.push({ level, fields, msg });
+    }
+
+    const conn = new engine.Connection({ logger });
+    assert.ok(conn);
+    module.exports.conn.push(conn);
+    const opts = {
+      name: 'name',
+      isRecv: false,
+      reliable: true,
+      broadcast: false,
+      logger,
+    };
+    const queue = new engine.Queue(opts, conn);
+    assert.ok(queue);
+    module.exports.queues.push(queue);
+
+    await conn.connect();
+    await queue.connect();
+    for (let retry = 150; retry >= 0 && queue.status() !== Status.Connected; retry--) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    queue.on(Events.Error, () => {});
+    queue.emit(Events.Error, Error('test error'));
+
+    const connLog = logs.find((log) => log.fields.host && log.fields.status === 'connected');
+    assert.ok(connLog);
+    assert.strictEqual(connLog.level, 'info');
+    assert.strictEqual(connLog.msg, 'status changed');
+    const queueLog = logs.find((log) => log.fields.queue && log.fields.status === 'connected');
+    assert.ok(queueLog);
+    assert.strictEqual(queueLog.fields.queue, 'name');
+    const errLog = logs.find((log) => log.msg === 'error event');
+    assert.ok(errLog);
+    assert.strictEqual(errLog.level, 'error');
+    assert.strictEqual(errLog.fields.queue, 'name');
+    assert.strictEqual(errLog.fields.err.message, 'test error');
+  };
+}
+
 /**
  * Test ACK/NACK with wrong parameters.
  *
@@ -1714,6 +3104,7 @@ module.exports = {
   closeAfterClose,
   sendError,
   reconnect,
+  reconnectLimit,
   dataUnicast1to1,
   dataUnicast1to3,
   dataBroadcast1to1,
@@ -1722,5 +3113,19 @@ module.exports = {
   dataBestEffort,
   dataPersistent,
   dataNack,
+  dataNackBestEffort,
   dataAckNackWrong,
+  dataPromise,
+  dataPrefetch,
+  dataSendBuffer,
+  dataDrain,
+  dataAckTimeout,
+  dataMessages,
+  dataWritable,
+  dataProperties,
+  dataMetrics,
+  dataLogger,
+  dataCompression,
+  dataNoErrorListener,
+  dataEnvelope,
 };
@@ -0,0 +1,227 @@
+'use strict';
+
+const assert = require('assert');
+
+const gmq = require('..');
+const { Errors, Events } = require('../lib/constants');
+
+/**
+ * @typedef {Object} Engine
+ * @property {AmqpConnection|MqttConnection} Connection
+ * @property {AmqpQueue|MqttQueue} Queue
+ */
+
+async function afterEach() {
+  let withErr = null;
+  for (let rpc = module.exports.rpcs.pop(); rpc; rpc = module.exports.rpcs.pop()) {
+    try {
+      await rpc.close();
+    } catch (e) {
+      withErr = e;
+    }
+  }
+  for (let conn = module.exports.conn.pop(); conn; conn = module.exports.conn.pop()) {
+    try {
+      await conn.close();
+    } catch (e) {
+      withErr = e;
+    }
+  }
+  if (withErr) {
+    throw withErr;
+  }
+}
+
+/**
+ * Test wrong options.
+ *
+ * @param {Engine} engine
+ */
+function newWrongOpts(engine) {
+  return function () {
+    const conn = new engine.Connection();
+    assert.ok(conn);
+
+    assert.throws(() => new gmq.RpcServer(null, conn));
+    assert.throws(() => new gmq.RpcServer({ name: '' }, conn));
+    assert.throws(() => new gmq.RpcServer({ name: 'name' }, {}));
+    assert.throws(() => new gmq.RpcServer({ name: 'name', prefetch: 0 }, conn));
+    assert.throws(() => new gmq.RpcServer({ name: 'name', engine: {} }, conn));
+    assert.throws(() => new gmq.RpcClient([], conn));
+    assert.throws(() => new gmq.RpcClient({}, {}));
+    assert.throws(() => new gmq.RpcClient({ timeoutMillis: 0 }, conn));
+    if (engine === gmq.mqtt) {
+      assert.throws(() => new gmq.RpcServer({ name: 'name' }, conn));
+      assert.throws(() => new gmq.RpcClient({}, conn));
+      return;
+    }
+
+    const server = new gmq.RpcServer({ name: 'name' }, conn);
+    assert.throws(() => server.setHandler({}));
+    assert.throws(() => server.connect());
+    const client = new gmq.RpcClient({}, conn);
+    assert.ok(client.replyName().startsWith('rpc-reply.'));
+    assert.throws(() => client.call('A@', Buffer.from('')));
+    assert.throws(() => client.call('name', ''));
+    assert.throws(() => client.call('name', Buffer.from(''), []));
+    assert.throws(() => client.call('name', Buffer.from(''), { timeoutMillis: 0 }));
+    assert.throws(() => client.call('name', Buffer.from(''), { signal: {} }));
+    assert.throws(() => client.call('name', Buffer.from(''), { props: { replyTo: 1 } }));
+    assert.throws(() => client.call('name', Buffer.from(''), {}, {}));
+  };
+}
+
+/**
+ * Test calls with replies and errors of handlers.
+ *
+ * @param {Engine} engine
+ */
+function call(engine) {
+  return async function () {
+    const { server, client } = await createRpc(engine);
+    server.setHandler((req, respond) => {
+      const text = req.payload.toString();
+      if (text === 'error') {
+        return void respond(Error('handler error'));
+      } else if (text === 'async') {
+        return Promise.resolve(Buffer.from('async reply'));
+      } else if (text === 'reject') {
+        return Promise.reject(Error('handler rejected'));
+      }
+      respond(null, Buffer.from(`reply ${text}`), { contentType: 'text/plain' });
+    });
+    await server.connect();
+    await client.connect();
+
+    const replies = await Promise.all([
+      client.call('rpc.name', Buffer.from('1')),
+      client.call('rpc.name', Buffer.from('2'), { props: { contentType: 'text/plain' } }),
+    ]);
+    assert.strictEqual(replies[0].payload.toString(), 'reply 1');
+    assert.strictEqual(replies[0].properties.contentType, 'text/plain');
+    assert.strictEqual(replies[1].payload.toString(), 'reply 2');
+    const reply = await client.call('rpc.name', Buffer.from('async'));
+    assert.strictEqual(reply.payload.toString(), 'async reply');
+    await assert.rejects(client.call('rpc.name', Buffer.from('error')), /^Error: handler error$/);
+    await assert.rejects(client.call('rpc.name', Buffer.from('reject')), /handler rejected/);
+
+    await new Promise((resolve, reject) => {
+      client.call('rpc.name', Buffer.from('3'), (err, reply) => {
+        if (err) {
+          return void reject(err);
+        }
+        assert.strictEqual(reply.payload.toString(), 'reply 3');
+        resolve();
+      });
+    });
+  };
+}
+
+/**
+ * Test call timeouts and cancellation.
+ *
+ * @param {Engine} engine
+ */
+function callTimeout(engine) {
+  return async function () {
+    const { server, client } = await createRpc(engine);
+    const pending = [];
+    server.setHandler((req, respond) => {
+      pending.push(respond);
+    });
+    await server.connect();
+
+    await assert.rejects(client.call('rpc.name', Buffer.from('1')), {
+      message: Errors.NotConnected,
+    });
+    await client.connect();
+
+    await assert.rejects(client.call('rpc.name', Buffer.from('1'), { timeoutMillis: 100 }), {
+      message: Errors.RpcTimeout,
+    });
+
+    const controller = new AbortController();
+    const p = client.call('rpc.name', Buffer.from('2'), { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(p, { message: Errors.RpcCancelled });
+    await assert.rejects(client.call('rpc.name', Buffer.from('3'), { signal: controller.signal }), {
+      message: Errors.RpcCancelled,
+    });
+
+    const closing = client.call('rpc.name', Buffer.from('4'));
+    await client.close();
+    await assert.rejects(closing, { message: Errors.RpcCancelled });
+
+    // Late replies are ignored.
+    for (const respond of pending) {
+      respond(null, Buffer.from('late'));
+    }
+  };
+}
+
+/**
+ * Test that cached sender queues with pending requests are not closed when calling many servers.
+ *
+ * @param {Engine} engine
+ */
+function callManyServers(engine) {
+  return async function () {
+    const { conn, server, client } = await createRpc(engine);
+    server.setHandler((req, respond) => {
+      respond(null, Buffer.from(`reply ${req.payload.toString()}`));
+    });
+    await server.connect();
+    await client.connect();
+
+    // AMQP and MQTT sender queues are still connecting and buffering when more than 100 senders
+    // are created.
+    const p = client.call('rpc.name', Buffer.from('1'));
+    const others = [];
+    for (let i = 0; i < 100; i++) {
+      others.push(client.call(`rpc.name${i}`, Buffer.from('2'), { timeoutMillis: 100 }));
+    }
+    const reply = await p;
+    assert.strictEqual(reply.payload.toString(), 'reply 1');
+    for (const other of others) {
+      await assert.rejects(other, { message: Errors.RpcTimeout });
+    }
+
+    // Closed and evicted queues do not listen to the connection anymore.
+    await client.close();
+    await server.close();
+    assert.strictEqual(conn.listenerCount(Events.Status), 0);
+  };
+}
+
+/**
+ * Create the connected connection and the server/client that are not connected.
+ *
+ * @param {Engine} engine
+ * @returns {Promise<{ conn: Object, server: gmq.RpcServer, client: gmq.RpcClient }>}
+ */
+async function createRpc(engine) {
+  const opts = engine === gmq.mqtt ? { protocolVersion: 5 } : undefined;
+  const conn = new engine.Connection(opts);
+  module.exports.conn.push(conn);
+  await conn.connect();
+
+  const server = new gmq.RpcServer(
+    { name: 'rpc.name', sharedPrefix: '$share/general-mq/', prefetch: 10 },
+    conn
+  );
+  module.exports.rpcs.push(server);
+  const client = new gmq.RpcClient({}, conn);
+  module.exports.rpcs.push(client);
+  return { conn, server, client };
+}
+
+module.exports = {
+  conn: [],
+  rpcs: [],
+
+  afterEach,
+  newWrongOpts,
+  call,
+  callTimeout,
+  callManyServers,
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+const gmq = require('..');
+const conn = require('./common-connection');
+const queue = require('./common-queue');
+const rpc = require('./common-rpc');
+
+const engine = gmq.memory;
+const { clearBrokers } = engine;
+
+describe('memory', function () {
+  describe('MemoryConnection', function () {
+    it('new with default', conn.newDefault(engine));
+    it('new with zero', conn.newZero(engine));
+    it('new with wrong opts', conn.newWrongOpts(engine));
+
+    it('status()', conn.properties(engine));
+
+    it('connect() without handler', conn.connectNoHandler(engine));
+    it('connect() with handler', conn.connectWithHandler(engine));
+    it('connect() after connect()', conn.connectAfterConnect(engine));
+
+    it('close()', conn.close(engine));
+    it('close() after close()', conn.closeAfterClose(engine));
+    it('close() without callback', conn.closeNoCallback(engine));
+    it('connect()/close() with Promise', conn.connectClosePromise(engine));
+
+    afterEach(conn.afterEach);
+  });
+
+  describe('MemoryQueue', function () {
+    it('new with default', queue.newDefault(engine));
+    it('new with zero', queue.newZero(engine));
+    it('new with wrong opts', queue.newWrongOpts(engine));
+
+    it('status()', queue.properties(engine));
+
+    it('connect() without handler', queue.connectNoHandler(engine));
+    it('connect() with handler', queue.connectWithHandler(engine));
+    it('connect() after connect()', queue.connectAfterConnect(engine));
+
+    it('setMsgHandler()', queue.setMsgHandler(engine));
+
+    it('close()', queue.close(engine));
+    it('close() after close()', queue.closeAfterClose(engine));
+
+    it('sendMsg() with error conditions', queue.sendError(engine));
+
+    afterEach(queue.afterEach);
+    afterEach(clearBrokers);
+  });
+
+  describe('Senarios', function () {
+    it('reconnect', queue.reconnect(engine));
+    it('reconnect with limit', queue.reconnectLimit(engine));
+
+    it('unicast 1 to 1', queue.dataUnicast1to1(engine));
+    it('unicast 1 to 3', queue.dataUnicast1to3(engine));
+
+    it('broadcast 1 to 1', queue.dataBroadcast1to1(engine));
+    it('broadcast 1 to 3', queue.dataBroadcast1to3(engine));
+
+    it('reliable', queue.dataReliable(engine));
+    it('best effort', queue.dataBestEffort(engine));
+
+    it('nack', queue.dataNack(engine));
+    it('nack best effort', queue.dataNackBestEffort(engine));
+    it('ack/nack with wrong parameters', queue.dataAckNackWrong(engine));
+    it('Promise', queue.dataPromise(engine));
+    it('prefetch', queue.dataPrefetch(engine));
+    it('properties', queue.dataProperties(engine));
+    it('metrics', queue.dataMetrics(engine));
+    it('logger', queue.dataLogger(engine));
+    it('compression', queue.dataCompression(engine));
+    it('errors without listeners', queue.dataNoErrorListener(engine));
+    it('envelope', queue.dataEnvelope(engine));
+    it('send buffer', queue.dataSendBuffer(engine));
+    it('drain on close', queue.dataDrain(engine));
+    it('ack timeout', queue.dataAckTimeout(engine));
+    it('async iterator', queue.dataMessages(engine));
+    it('writable stream', queue.dataWritable(engine));
+
+    afterEach(queue.afterEach);
+    afterEach(clearBrokers);
+  });
+
+  describe('RPC', function () {
+    it('new with wrong opts', rpc.newWrongOpts(engine));
+    it('call', rpc.call(engine));
+    it('call with timeout and cancellation', rpc.callTimeout(engine));
+    it('call many servers', rpc.callManyServers(engine));
+
+    afterEach(rpc.afterEach);
+    afterEach(clearBrokers);
+  });
+});
@@ -3,8 +3,10 @@
 const assert = require('assert');
 
 const gmq = require('..');
+const { Status } = require('../lib/constants');
 const conn = require('./common-connection');
 const queue = require('./common-queue');
+const rpc = require('./common-rpc');
 
 const engine = gmq.mqtt;
 
@@ -20,10 +22,16 @@ describe('mqtt', function () {
     it('connect() with handler', conn.connectWithHandler(engine));
     it('connect() after connect()', conn.connectAfterConnect(engine));
     it.skip('connect() with insecure', conn.connectInsecure(engine));
+    it('connect() with wrong certificate files', conn.connectTlsFileError(engine));
+    it('connect() with malformed certificate files', conn.connectTlsPemError(engine));
 
     it('close()', conn.close(engine));
     it('close() after close()', conn.closeAfterClose(engine));
     it('close() without callback', conn.closeNoCallback(engine));
+    it('connect()/close() with Promise', conn.connectClosePromise(engine));
+    it('connect() with timeout', conn.connectTimeout(engine));
+    it('connect() with failover', conn.connectFailover(engine));
+    it('reconnect with limit', conn.reconnectLimit(engine));
 
     it('addPacketHandler() with wrong parameters', addPacketHandlerWrong);
     it('removePacketHandler() with wrong parameters', removePacketHandlerWrong);
@@ -54,6 +62,7 @@ describe('mqtt', function () {
 
   describe('Senarios', function () {
     it('reconnect', queue.reconnect(engine));
+    it('reconnect with limit', queue.reconnectLimit(engine));
     it('unicast 1 to 1', queue.dataUnicast1to1(engine));
     it('unicast 1 to 3', queue.dataUnicast1to3(engine));
 
@@ -62,11 +71,34 @@ describe('mqtt', function () {
 
     xit('reliable', queue.dataReliable(engine));
     it('best effort', queue.dataBestEffort(engine));
+    it('nack', queue.dataNack(engine));
+    it('nack with delay', dataNackDelay);
+    it('prefetch', queue.dataPrefetch(engine));
+    it('properties', queue.dataProperties(engine));
+    it('metrics', queue.dataMetrics(engine));
+    it('logger', queue.dataLogger(engine));
+    it('compression', queue.dataCompression(engine));
+    it('errors without listeners', queue.dataNoErrorListener(engine));
+    it('envelope', queue.dataEnvelope(engine));
+    it('send buffer', queue.dataSendBuffer(engine));
+    it('drain on close', queue.dataDrain(engine));
+    it('ack timeout', queue.dataAckTimeout(engine));
+    it('async iterator', queue.dataMessages(engine));
+    it('writable stream', queue.dataWritable(engine));
 
     it('ack/nack with wrong parameters', queue.dataAckNackWrong(engine));
 
     afterEach(queue.afterEach);
   });
+
+  describe('RPC', function () {
+    it('new with wrong opts', rpc.newWrongOpts(engine));
+    it('call', rpc.call(engine));
+    it('call with timeout and cancellation', rpc.callTimeout(engine));
+    it('call many servers', rpc.callManyServers(engine));
+
+    afterEach(rpc.afterEach);
+  });
 });
 
 function addPacketHandlerWrong() {
@@ -93,3 +125,40 @@ function removePacketHandlerWrong() {
     conn.removePacketHandler('A@');
   });
 }
+
+async function dataNackDelay() {
+  const conn = new engine.Connection();
+  queue.conn.push(conn);
+  const opts = {
+    name: 'name',
+    isRecv: false,
+    reliable: true,
+    broadcast: true,
+  };
+  const sendQueue = new engine.Queue(opts, conn);
+  queue.queues.push(sendQueue);
+  const recvQueue = new engine.Queue({ ...opts, isRecv: true, nackDelayMillis: 300 }, conn);
+  queue.queues.push(recvQueue);
+
+  // The handler NACKs the first delivery immediately.
+  const received = [];
+  recvQueue.setMsgHandler(async (queue, msg) => {
+    received.push(Date.now());
+    if (received.length > 1) {
+      return void (await queue.ack(msg));
+    }
+    await queue.nack(msg);
+  });
+
+  await conn.connect();
+  await Promise.all([sendQueue.connect(), recvQueue.connect()]);
+  await sendQueue.sendMsg(Buffer.from('1'));
+  for (let retry = 150; retry >= 0 && received.length < 2; retry--) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.strictEqual(received.length, 2);
+  assert.ok(received[1] - received[0] >= 290);
+  assert.strictEqual(recvQueue.status(), Status.Connected);
+  assert.strictEqual(recvQueue.metrics().nacked, 1);
+  assert.strictEqual(recvQueue.metrics().acked, 1);
+}
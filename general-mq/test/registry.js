@@ -0,0 +1,54 @@
+'use strict';
+
+const assert = require('assert');
+
+const gmq = require('..');
+
+describe('registry', function () {
+  it('getEngine() with built-in engines', getBuiltIn);
+  it('registerEngine()', register);
+  it('registerEngine() with wrong parameters', registerWrong);
+});
+
+function getBuiltIn() {
+  assert.strictEqual(gmq.getEngine('amqp'), gmq.amqp);
+  assert.strictEqual(gmq.getEngine('amqps:'), gmq.amqp);
+  assert.strictEqual(gmq.getEngine('memory:'), gmq.memory);
+  assert.strictEqual(gmq.getEngine('mqtt'), gmq.mqtt);
+  assert.strictEqual(gmq.getEngine('mqtts:'), gmq.mqtt);
+  assert.strictEqual(gmq.getEngine('ws:'), gmq.mqtt);
+  assert.strictEqual(gmq.getEngine('wss'), gmq.mqtt);
+  assert.strictEqual(gmq.getEngine('tcp:'), null);
+  assert.strictEqual(gmq.getEngine(null), null);
+
+  const schemes = gmq.engineSchemes();
+  for (const scheme of ['amqp', 'amqps', 'memory', 'mqtt', 'mqtts', 'ws', 'wss']) {
+    assert.ok(schemes.includes(scheme));
+  }
+}
+
+function register() {
+  const engine = { Connection: class {}, Queue: class {} };
+  gmq.registerEngine('test-engine:', engine);
+  assert.strictEqual(gmq.getEngine('test-engine'), engine);
+  assert.ok(gmq.engineSchemes().includes('test-engine'));
+
+  gmq.registerEngine('test-engine', gmq.memory);
+  assert.strictEqual(gmq.getEngine('test-engine:'), gmq.memory);
+}
+
+function registerWrong() {
+  assert.throws(() => {
+    gmq.registerEngine(1, gmq.memory);
+  });
+  assert.throws(() => {
+    gmq.registerEngine('1abc', gmq.memory);
+  });
+  assert.throws(() => {
+    gmq.registerEngine('test', null);
+  });
+  assert.throws(() => {
+    gmq.registerEngine('test', { Connection: class {} });
+  });
+  assert.strictEqual(gmq.getEngine('test'), null);
+}
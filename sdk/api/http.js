@@ -5,6 +5,7 @@ const { Agent } = require('http');
 const superagent = require('superagent');
 
 const { DataTypes } = require('general-mq/lib/constants');
+const { Logger, toLogger } = require('general-mq/lib/logger');
 
 const keepAliveAgent = new Agent({ keepAlive: true });
 
@@ -18,6 +19,7 @@ const keepAliveAgent = new Agent({ keepAlive: true });
  *           `http://localhost:1080/coremgr`.
  * @property {string} clientId Client ID.
  * @property {string} clientSecret Client secret.
+ * @property {Logger} [logger] The structured logger. Default does not log.
  */
 
 /**
@@ -50,6 +52,7 @@ class Client {
     this.#coremgrBase = opts.coremgrBase;
     this.#clientId = opts.clientId;
     this.#clientSecret = opts.clientSecret;
+    this.#logger = toLogger(opts.logger);
   }
 
   /**
@@ -95,6 +98,7 @@ class Client {
       if (!self.#accessToken) {
         return void self.#authToken((err, token) => {
           if (err) {
+            self.#logger.warn({ err }, 'authorize failed');
             return void callback(err);
           }
           self.#accessToken = token;
@@ -110,6 +114,7 @@ class Client {
         .buffer(false)
         .end((err, res) => {
           if (!res) {
+            self.#logger.warn({ method, apiPath, err }, 'request failed');
             return void callback(err || Error(JSON.stringify({ code: 'err_rsc' })));
           }
           let body = res.body;
@@ -123,8 +128,10 @@ class Client {
           retStatus = res.statusCode;
           retBody = body;
           if (res.statusCode === 401) {
+            self.#logger.debug({ method, apiPath }, 'token expired, refreshing');
             return void self.#authToken((err, token) => {
               if (err) {
+                self.#logger.warn({ err }, 'authorize failed');
                 return void callback(err);
               }
               self.#accessToken = token;
@@ -203,6 +210,12 @@ class Client {
    * @type {string}
    */
   #accessToken;
+  /**
+   * The structured logger.
+   *
+   * @type {Logger}
+   */
+  #logger;
 }
 
 module.exports = {
@@ -7,6 +7,8 @@ const async = require('async');
 
 const { AmqpQueue } = require('general-mq/lib/amqp-queue');
 const { DataTypes, Status, Events } = require('general-mq/lib/constants');
+const { CloseOptions, toDrainTimeout } = require('general-mq/lib/drain');
+const { Logger, toLogger } = require('general-mq/lib/logger');
 const { MqttQueue } = require('general-mq/lib/mqtt-queue');
 const {
   Connection,
@@ -138,7 +140,8 @@ class ApplicationMgr extends EventEmitter {
       throw Error('`onUlData`, `onDlDataResp` and `onDlDataResult` must be functions');
     }
 
-    const conn = getConnection(connPool, hostUri);
+    const logger = toLogger(opts.logger);
+    const conn = getConnection(connPool, hostUri, opts.tls, opts.logger, opts.agent);
     const queues = newDataQueues(conn, opts, QUEUE_PREFIX, false);
     conn.conn.connect();
 
@@ -151,6 +154,7 @@ class ApplicationMgr extends EventEmitter {
     this.#dldataResult = queues.dldataResult;
     this.#status = MgrStatus.NotReady;
     this.#mgrMsgHandler = handler;
+    this.#logger = logger;
 
     this.#uldata.on(Events.Status, this.#gmqStatusHandler.bind(this));
     this.#uldata.setMsgHandler(this.#gmqMsgHandler.bind(this));
@@ -223,37 +227,37 @@ class ApplicationMgr extends EventEmitter {
    * To close the manager queues.
    * The underlying connection will be closed when there are no queues use it.
    *
+   * With `drainTimeoutMillis`, receiver queues stop consuming and wait for in-flight handlers
+   * before sender queues are closed, so handlers can still send data while draining.
+   *
+   * @param {CloseOptions} [opts]
    * @param {function} callback
    *   @param {?Error} callback.err
+   * @throws {Error} Wrong arguments.
    */
-  close(callback) {
+  close(opts, callback) {
+    if (typeof opts === DataTypes.Function) {
+      callback = opts;
+      opts = undefined;
+    }
+    toDrainTimeout(opts);
+
     const self = this;
+    const closeQueue = (queue, cb) => {
+      queue.removeAllListeners();
+      queue.close(opts, (err) => {
+        cb(err || null);
+      });
+    };
 
     async.waterfall(
       [
+        // Drain receivers together to wait for handlers with the same deadline.
         function (cb) {
-          self.#uldata.removeAllListeners();
-          self.#uldata.close((err) => {
-            cb(err || null);
-          });
-        },
-        function (cb) {
-          self.#dldata.removeAllListeners();
-          self.#dldata.close((err) => {
-            cb(err || null);
-          });
+          async.each([self.#uldata, self.#dldataResp, self.#dldataResult], closeQueue, cb);
         },
         function (cb) {
-          self.#dldataResp.removeAllListeners();
-          self.#dldataResp.close((err) => {
-            cb(err || null);
-          });
-        },
-        function (cb) {
-          self.#dldataResult.removeAllListeners();
-          self.#dldataResult.close((err) => {
-            cb(err || null);
-          });
+          closeQueue(self.#dldata, cb);
         },
         function (cb) {
           removeConnection(self.#connPool, self.#hostUri, 4, (err) => {
@@ -334,6 +338,10 @@ class ApplicationMgr extends EventEmitter {
       return;
     }
     this.#status = status;
+    this.#logger.info(
+      { name: this.#opts.name, status: status === MgrStatus.Ready ? 'ready' : 'not-ready' },
+      'manager status changed'
+    );
     this.emit(Events.Status, status);
   }
 
@@ -345,8 +353,8 @@ class ApplicationMgr extends EventEmitter {
     try {
       data = JSON.parse(msg.payload.toString());
     } catch (e) {
-      queue.ack(msg, (_err) => {});
-      return;
+      this.#logger.warn({ queue: queue.name(), err: e }, 'drop invalid JSON payload');
+      return void this.#settle(queue, msg, false);
     }
 
     const self = this;
@@ -355,33 +363,37 @@ class ApplicationMgr extends EventEmitter {
       data.pub = new Date(data.pub);
       data.data = Buffer.from(data.data, 'hex');
       this.#mgrMsgHandler.onUlData(this, data, (err) => {
-        if (err) {
-          self.#uldata.nack(msg, (_err) => {});
-        } else {
-          self.#uldata.ack(msg, (_err) => {});
-        }
+        self.#settle(self.#uldata, msg, !!err);
       });
     } else if (queue.name() === this.#dldataResp.name()) {
       this.#mgrMsgHandler.onDlDataResp(this, data, (err) => {
-        if (err) {
-          self.#dldataResp.nack(msg, (_err) => {});
-        } else {
-          self.#dldataResp.ack(msg, (_err) => {});
-        }
+        self.#settle(self.#dldataResp, msg, !!err);
       });
     } else if (queue.name() === this.#dldataResult.name()) {
       this.#mgrMsgHandler.onDlDataResult(this, data, (err) => {
-        if (err) {
-          self.#dldataResult.nack(msg, (_err) => {});
-        } else {
-          self.#dldataResult.ack(msg, (_err) => {});
-        }
+        self.#settle(self.#dldataResult, msg, !!err);
       });
     } else {
       return;
     }
   }
 
+  /**
+   * To ACK or NACK the message and log errors.
+   *
+   * @param {AmqpQueue|MqttQueue} queue
+   * @param {Object} msg
+   * @param {boolean} nack
+   */
+  #settle(queue, msg, nack) {
+    const settle = nack ? queue.nack.bind(queue) : queue.ack.bind(queue);
+    settle(msg, (err) => {
+      if (err) {
+        this.#logger.warn({ queue: queue.name(), err }, nack ? 'nack failed' : 'ack failed');
+      }
+    });
+  }
+
   /** @type {Options} */
   #opts;
   /**
@@ -408,6 +420,8 @@ class ApplicationMgr extends EventEmitter {
   #status;
   /** @type {AppMgrMsgHandlers} */
   #mgrMsgHandler;
+  /** @type {Logger} */
+  #logger;
 }
 
 const QUEUE_PREFIX = 'broker.application';
@@ -1,5 +1,7 @@
 'use strict';
 
+const gmq = require('general-mq');
+
 module.exports = {
   /**
    * Control message operations.
@@ -40,7 +42,12 @@ module.exports = {
     Ready: Symbol(),
   },
   /**
-   * Support application/network host schemes.
+   * Support application/network host schemes. This includes the schemes of engines that are
+   * registered with `gmq.registerEngine()`.
+   *
+   * @type {string[]}
    */
-  SupportSchemes: ['amqp', 'amqps', 'mqtt', 'mqtts'],
+  get SupportSchemes() {
+    return gmq.engineSchemes();
+  },
 };
@@ -1,13 +1,17 @@
 'use strict';
 
+const http = require('http');
 const { URL } = require('url');
 
 const gmq = require('general-mq');
 const { AmqpConnection } = require('general-mq/lib/amqp-connection');
 const { AmqpQueue } = require('general-mq/lib/amqp-queue');
-const { DataTypes } = require('general-mq/lib/constants');
+const { AmqpQueueType, DataTypes } = require('general-mq/lib/constants');
+const { Logger } = require('general-mq/lib/logger');
+const { MemoryConnection } = require('general-mq/lib/memory-connection');
 const { MqttConnection } = require('general-mq/lib/mqtt-connection');
 const { MqttQueue } = require('general-mq/lib/mqtt-queue');
+const { TlsOptions } = require('general-mq/lib/tls');
 
 const { Status } = require('./constants');
 
@@ -32,9 +36,23 @@ const { Status } = require('./constants');
  *           undefined for public network.
  * @property {string} id The associated application/network ID.
  * @property {string} name The associated application/network code.
- * @property {number} [prefetch=100] AMQP prefetch option.
+ * @property {number} [prefetch=100] The maximum number of unacknowledged messages of receivers.
  * @property {boolean} [persistent=false] AMQP persistent option.
+ * @property {AmqpQueueType} [queueType] AMQP queue type option.
+ * @property {Object.<string, string|number|boolean>} [arguments] AMQP queue arguments option. The
+ *           broker MUST declare queues with the same arguments.
  * @property {string} [sharedPrefix] MQTT shared queue prefix option.
+ * @property {TlsOptions} [tls] TLS options (such as CA and client certificates) of `amqps`,
+ *           `mqtts` and `wss` hosts. Managers with the same host share the connection, so only the
+ *           options of the first manager are used.
+ * @property {http.Agent} [agent] The HTTP agent (such as an HTTP proxy agent) of `ws` and `wss`
+ *           hosts. Only the agent of the first manager of the host is used.
+ * @property {Logger} [logger] The structured logger of the manager and its queues. The logger of the
+ *           first manager is also used by the shared connection.
+ * @property {boolean} [presence=false] (network only, MQTT only) To publish the retained message
+ *           `{"online":true}` to `broker.network.[unit].[code].presence` when the manager is
+ *           connected and `{"online":false}` when it is closed. The offline message is also the
+ *           last will of the connection if this is the first manager of the host.
  */
 
 /**
@@ -86,20 +104,36 @@ const { Status } = require('./constants');
  */
 class Connection {
   /**
-   * @param {AmqpConnection|MqttConnection} conn
+   * @param {AmqpConnection|MemoryConnection|MqttConnection} conn The connection of a registered
+   *        engine.
+   * @param {Engine} [engine] The engine of `conn`. Default finds the engine from registered
+   *        engines.
    * @throws {Error} Wrong host scheme.
    */
-  constructor(conn) {
-    if (!(conn instanceof AmqpConnection) && !(conn instanceof MqttConnection)) {
+  constructor(conn, engine) {
+    if (engine === undefined) {
+      engine = gmq
+        .engineSchemes()
+        .map((scheme) => gmq.getEngine(scheme))
+        .find((e) => conn instanceof e.Connection);
+    }
+    if (!engine || !(conn instanceof engine.Connection)) {
       throw Error('invalid `conn`');
     }
 
     this.conn = conn;
+    this.engine = engine;
     this.count = 0;
   }
 
-  /** @type {AmqpConnection|MqttConnection} */
+  /** @type {AmqpConnection|MemoryConnection|MqttConnection} */
   conn;
+  /**
+   * The engine that is used to create queues for `conn`.
+   *
+   * @type {Engine}
+   */
+  engine;
   /**
    * Reference count.
    *
@@ -113,15 +147,25 @@ const DEF_PERSISTENT = false;
 
 /**
  * Utility function to get the message queue connection instance. A new connection will be created
- * if the host does not exist.
+ * if the host does not exist. The engine is selected by the URI scheme from engines registered with
+ * `gmq.registerEngine()`.
  *
  * @private
  * @param {Map<string, Connection>} connPool
  * @param {URL} hostUri
+ * @param {TlsOptions} [tls] TLS options of the new connection.
+ * @param {Logger} [logger] The logger of the new connection.
+ * @param {http.Agent} [agent] The HTTP agent of the new WebSocket connection.
+ * @param {Object} [will] The last will of the new MQTT connection.
  * @returns {Connection}
- * @throws {Error} Wrong host scheme.
+ * @throws {Error} Wrong host scheme, TLS options, the logger, the agent or the will.
  */
-function getConnection(connPool, hostUri) {
+function getConnection(connPool, hostUri, tls, logger, agent, will) {
+  if (tls !== undefined && (!tls || typeof tls !== DataTypes.Object || Array.isArray(tls))) {
+    throw Error('`opts.tls` is not an object');
+  } else if (agent !== undefined && !(agent instanceof http.Agent)) {
+    throw Error('`opts.agent` is not an `http.Agent`');
+  }
   const uri = hostUri.toString();
 
   let conn = connPool.get(uri);
@@ -129,21 +173,27 @@ function getConnection(connPool, hostUri) {
     return conn;
   }
 
-  let engine;
-  switch (hostUri.protocol) {
-    case 'amqp:':
-    case 'amqps:':
-      engine = gmq.amqp;
-      break;
-    case 'mqtt:':
-    case 'mqtts:':
-      engine = gmq.mqtt;
-      break;
-    default:
-      throw Error(`unsupport scheme ${hostUri.protocol}`);
+  const engine = gmq.getEngine(hostUri.protocol);
+  if (!engine) {
+    throw Error(`unsupport scheme ${hostUri.protocol}`);
+  }
+  const connOpts = { uri };
+  for (const key of ['ca', 'cert', 'key', 'passphrase', 'servername', 'tlsWatchMillis']) {
+    if (tls && tls[key] !== undefined) {
+      connOpts[key] = tls[key];
+    }
+  }
+  if (logger !== undefined) {
+    connOpts.logger = logger;
+  }
+  if (agent !== undefined) {
+    connOpts.agent = agent;
   }
-  const c = new engine.Connection({ uri });
-  conn = new Connection(c);
+  if (will !== undefined) {
+    connOpts.will = will;
+  }
+  const c = new engine.Connection(connOpts);
+  conn = new Connection(c, engine);
   connPool.set(uri, conn);
   return conn;
 }
@@ -218,13 +268,20 @@ function newDataQueues(conn, opts, prefix, isNetwork) {
     throw Error('`opts.persistent` is not a boolean');
   } else if (opts.sharedPrefix !== undefined && typeof opts.sharedPrefix !== DataTypes.String) {
     throw Error('`opts.sharedPrefix` is not a string');
+  } else if (opts.queueType !== undefined && typeof opts.queueType !== DataTypes.String) {
+    throw Error('`opts.queueType` is not a string');
+  } else if (
+    opts.arguments !== undefined &&
+    (!opts.arguments || typeof opts.arguments !== DataTypes.Object || Array.isArray(opts.arguments))
+  ) {
+    throw Error('`opts.arguments` is not an object');
   }
 
   if ((opts.unitId && !opts.unitCode) || (!opts.unitId && opts.unitCode)) {
     throw Error('`opts.unitId` and `opts.unitCode` must both empty or non-empty');
   }
 
-  const engine = conn.conn instanceof MqttConnection ? gmq.mqtt : gmq.amqp;
+  const engine = conn.engine;
   const qNamePrefix = `${prefix}.${opts.unitCode || '_'}.${opts.name}`;
 
   let qOpts = {
@@ -235,6 +292,9 @@ function newDataQueues(conn, opts, prefix, isNetwork) {
     prefetch: opts.prefetch || DEF_PREFETCH,
     persistent: opts.persistent || DEF_PERSISTENT,
     sharedPrefix: opts.sharedPrefix,
+    queueType: opts.queueType,
+    arguments: opts.arguments,
+    logger: opts.logger,
   };
   const uldata = new engine.Queue(qOpts, conn.conn);
 
@@ -4,9 +4,12 @@ const { EventEmitter } = require('events');
 const { URL } = require('url');
 
 const async = require('async');
+const gmq = require('general-mq');
 
 const { AmqpQueue } = require('general-mq/lib/amqp-queue');
 const { DataTypes, Status, Events } = require('general-mq/lib/constants');
+const { CloseOptions, toDrainTimeout } = require('general-mq/lib/drain');
+const { Logger, toLogger } = require('general-mq/lib/logger');
 const { MqttQueue } = require('general-mq/lib/mqtt-queue');
 const {
   Connection,
@@ -123,10 +126,32 @@ class NetworkMgr extends EventEmitter {
       typeof handler.onCtrl !== DataTypes.Function
     ) {
       throw Error('`onDlData` and `onCtrl` must be functions');
+    } else if (opts.presence !== undefined && typeof opts.presence !== DataTypes.Boolean) {
+      throw Error('`opts.presence` is not a boolean');
+    } else if (opts.presence && gmq.getEngine(hostUri.protocol) !== gmq.mqtt) {
+      throw Error('`opts.presence` requires an MQTT host');
     }
 
-    const conn = getConnection(connPool, hostUri);
+    const logger = toLogger(opts.logger);
+    const presenceTopic = `${QUEUE_PREFIX}.${opts.unitCode || '_'}.${opts.name}.presence`;
+    const will = opts.presence
+      ? { topic: presenceTopic, payload: PRESENCE_OFFLINE, qos: 1, retain: true }
+      : undefined;
+    const conn = getConnection(connPool, hostUri, opts.tls, opts.logger, opts.agent, will);
     const queues = newDataQueues(conn, opts, QUEUE_PREFIX, true);
+    const presence = opts.presence
+      ? new MqttQueue(
+          {
+            name: presenceTopic,
+            isRecv: false,
+            reliable: true,
+            broadcast: false,
+            retain: true,
+            logger: opts.logger,
+          },
+          conn.conn
+        )
+      : null;
     conn.conn.connect();
 
     this.#opts = { ...opts };
@@ -136,8 +161,10 @@ class NetworkMgr extends EventEmitter {
     this.#dldata = queues.dldata;
     this.#dldataResult = queues.dldataResult;
     this.#ctrl = queues.ctrl;
+    this.#presence = presence;
     this.#status = MgrStatus.NotReady;
     this.#mgrMsgHandler = handler;
+    this.#logger = logger;
 
     this.#uldata.on(Events.Status, this.#gmqStatusHandler.bind(this));
     this.#uldata.setMsgHandler(this.#gmqMsgHandler.bind(this));
@@ -155,7 +182,12 @@ class NetworkMgr extends EventEmitter {
     this.#ctrl.setMsgHandler(this.#gmqMsgHandler.bind(this));
     this.#ctrl.connect();
 
-    conn.count += 4;
+    if (this.#presence) {
+      this.#presence.on(Events.Status, this.#presenceStatusHandler.bind(this));
+      this.#presence.connect();
+    }
+
+    conn.count += this.#queueCount();
   }
 
   /**
@@ -210,40 +242,58 @@ class NetworkMgr extends EventEmitter {
    * To close the manager queues.
    * The underlying connection will be closed when there are no queues use it.
    *
+   * With `drainTimeoutMillis`, receiver queues stop consuming and wait for in-flight handlers
+   * before sender queues are closed, so handlers can still send data while draining.
+   *
+   * @param {CloseOptions} [opts]
    * @param {function} callback
    *   @param {?Error} callback.err
+   * @throws {Error} Wrong arguments.
    */
-  close(callback) {
+  close(opts, callback) {
+    if (typeof opts === DataTypes.Function) {
+      callback = opts;
+      opts = undefined;
+    }
+    toDrainTimeout(opts);
+
     const self = this;
+    const closeQueue = (queue, cb) => {
+      queue.removeAllListeners();
+      queue.close(opts, (err) => {
+        cb(err || null);
+      });
+    };
 
     async.waterfall(
       [
+        // Drain receivers together to wait for handlers with the same deadline.
         function (cb) {
-          self.#uldata.removeAllListeners();
-          self.#uldata.close((err) => {
-            cb(err || null);
-          });
+          async.each([self.#dldata, self.#ctrl], closeQueue, cb);
         },
         function (cb) {
-          self.#dldata.removeAllListeners();
-          self.#dldata.close((err) => {
-            cb(err || null);
-          });
+          closeQueue(self.#uldata, cb);
         },
         function (cb) {
-          self.#dldataResult.removeAllListeners();
-          self.#dldataResult.close((err) => {
-            cb(err || null);
-          });
+          closeQueue(self.#dldataResult, cb);
         },
         function (cb) {
-          self.#ctrl.removeAllListeners();
-          self.#ctrl.close((err) => {
-            cb(err || null);
+          if (!self.#presence) {
+            return void cb(null);
+          }
+          self.#presence.removeAllListeners();
+          if (self.#presence.status() !== Status.Connected) {
+            return void closeQueue(self.#presence, cb);
+          }
+          self.#presence.sendMsg(PRESENCE_OFFLINE, (err) => {
+            if (err) {
+              self.#logger.warn({ name: self.#opts.name, err }, 'publish offline presence failed');
+            }
+            closeQueue(self.#presence, cb);
           });
         },
         function (cb) {
-          removeConnection(self.#connPool, self.#hostUri, 4, (err) => {
+          removeConnection(self.#connPool, self.#hostUri, self.#queueCount(), (err) => {
             cb(err || null);
           });
         },
@@ -340,9 +390,37 @@ class NetworkMgr extends EventEmitter {
       return;
     }
     this.#status = status;
+    this.#logger.info(
+      { name: this.#opts.name, status: status === MgrStatus.Ready ? 'ready' : 'not-ready' },
+      'manager status changed'
+    );
     this.emit(Events.Status, status);
   }
 
+  /**
+   * The handler for the status events of the presence queue to publish the online message on every
+   * connection.
+   */
+  #presenceStatusHandler(status) {
+    if (status !== Status.Connected) {
+      return;
+    }
+    this.#presence.sendMsg(PRESENCE_ONLINE, (err) => {
+      if (err) {
+        this.#logger.warn({ name: this.#opts.name, err }, 'publish online presence failed');
+      }
+    });
+  }
+
+  /**
+   * To get the number of queues that reference the connection.
+   *
+   * @returns {number}
+   */
+  #queueCount() {
+    return this.#presence ? 5 : 4;
+  }
+
   /**
    * The message handler for the gmq.Queue.
    */
@@ -351,8 +429,8 @@ class NetworkMgr extends EventEmitter {
     try {
       data = JSON.parse(msg.payload.toString());
     } catch (e) {
-      queue.ack(msg, (_err) => {});
-      return;
+      this.#logger.warn({ queue: queue.name(), err: e }, 'drop invalid JSON payload');
+      return void this.#settle(queue, msg, false);
     }
 
     const self = this;
@@ -360,26 +438,34 @@ class NetworkMgr extends EventEmitter {
       data.pub = new Date(data.pub);
       data.data = Buffer.from(data.data, 'hex');
       this.#mgrMsgHandler.onDlData(this, data, (err) => {
-        if (err) {
-          self.#dldata.nack(msg, (_err) => {});
-        } else {
-          self.#dldata.ack(msg, (_err) => {});
-        }
+        self.#settle(self.#dldata, msg, !!err);
       });
     } else if (queue.name() === this.#ctrl.name()) {
       data.time = new Date(data.time);
       this.#mgrMsgHandler.onCtrl(this, data, (err) => {
-        if (err) {
-          self.#ctrl.nack(msg, (_err) => {});
-        } else {
-          self.#ctrl.ack(msg, (_err) => {});
-        }
+        self.#settle(self.#ctrl, msg, !!err);
       });
     } else {
       return;
     }
   }
 
+  /**
+   * To ACK or NACK the message and log errors.
+   *
+   * @param {AmqpQueue|MqttQueue} queue
+   * @param {Object} msg
+   * @param {boolean} nack
+   */
+  #settle(queue, msg, nack) {
+    const settle = nack ? queue.nack.bind(queue) : queue.ack.bind(queue);
+    settle(msg, (err) => {
+      if (err) {
+        this.#logger.warn({ queue: queue.name(), err }, nack ? 'nack failed' : 'ack failed');
+      }
+    });
+  }
+
   /** @type {Options} */
   #opts;
   /**
@@ -402,13 +488,19 @@ class NetworkMgr extends EventEmitter {
   #dldataResult;
   /** @type {AmqpQueue|MqttQueue} */
   #ctrl;
+  /** @type {?MqttQueue} */
+  #presence;
   /** @type {Status} */
   #status;
   /** @type {NetMgrMsgHandlers} */
   #mgrMsgHandler;
+  /** @type {Logger} */
+  #logger;
 }
 
 const QUEUE_PREFIX = 'broker.network';
+const PRESENCE_ONLINE = Buffer.from(JSON.stringify({ online: true }));
+const PRESENCE_OFFLINE = Buffer.from(JSON.stringify({ online: false }));
 
 module.exports = {
   NetworkMgr,
@@ -46,6 +46,11 @@ function testNewWrong() {
   assert.throws(() => {
     new Client(opts);
   });
+  opts.clientSecret = CLIENT_SECRET;
+  opts.logger = {};
+  assert.throws(() => {
+    new Client(opts);
+  });
 }
 
 function testReq(done) {
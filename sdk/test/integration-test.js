@@ -11,4 +11,5 @@ describe('Integration Test', function () {
   describe('middlewares', middlewares.suite());
   describe('mq - RabbitMQ', mq.suite(gmq.amqp));
   describe('mq - EMQX', mq.suite(gmq.mqtt));
+  describe('mq - memory', mq.suite(gmq.memory));
 });
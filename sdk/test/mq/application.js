@@ -1,6 +1,7 @@
 'use strict';
 
 const assert = require('assert');
+const { URL } = require('url');
 
 const async = require('async');
 const deepEqual = require('deep-equal');
@@ -149,6 +150,52 @@ function newDefault(engine) {
   };
 }
 
+/**
+ * Test new managers with an engine that is registered with a custom scheme.
+ *
+ * @param {Engine} engine
+ */
+function newRegisteredEngine(engine) {
+  return function (done) {
+    // The connection uses the default URI of the original engine.
+    class CustomConnection extends engine.Connection {
+      constructor(_opts) {
+        super();
+      }
+    }
+    gmq.registerEngine('custom', { Connection: CustomConnection, Queue: engine.Queue });
+
+    const connPool = lib.mgrConns;
+    const hostUri = new URL('custom://localhost');
+    const handlers = {
+      onUlData: () => {},
+      onDlDataResp: () => {},
+      onDlDataResult: () => {},
+    };
+
+    const opts = {
+      unitId: 'unit_id',
+      unitCode: 'unit_code',
+      id: 'id_application',
+      name: 'code_application',
+      sharedPrefix: SHARED_PREFIX,
+    };
+    const mgr = new ApplicationMgr(connPool, hostUri, opts, handlers);
+    assert.ok(mgr);
+    assert.ok(connPool.get(hostUri.toString()).conn instanceof CustomConnection);
+    mgr.on(Events.Status, (status) => {
+      if (status === MgrStatus.Ready) {
+        done(null);
+      }
+    });
+    lib.appMgrs.push(mgr);
+
+    assert.throws(() => {
+      new ApplicationMgr(connPool, new URL('unknown://localhost'), opts, handlers);
+    });
+  };
+}
+
 /**
  * Test new managers with manual options.
  *
@@ -288,6 +335,35 @@ function newWrongOpts(engine) {
       new ApplicationMgr(connPool, hostUri, opts, handlers);
     });
     delete opts.sharedPrefix;
+    opts.tls = 1;
+    assert.throws(() => {
+      new ApplicationMgr(connPool, hostUri, opts, handlers);
+    });
+    delete opts.tls;
+    opts.agent = {};
+    assert.throws(() => {
+      new ApplicationMgr(connPool, hostUri, opts, handlers);
+    });
+    delete opts.agent;
+    opts.logger = 1;
+    assert.throws(() => {
+      new ApplicationMgr(connPool, hostUri, opts, handlers);
+    });
+    opts.logger = { info: () => {} };
+    assert.throws(() => {
+      new ApplicationMgr(connPool, hostUri, opts, handlers);
+    });
+    delete opts.logger;
+    opts.queueType = 1;
+    assert.throws(() => {
+      new ApplicationMgr(connPool, hostUri, opts, handlers);
+    });
+    delete opts.queueType;
+    opts.arguments = [];
+    assert.throws(() => {
+      new ApplicationMgr(connPool, hostUri, opts, handlers);
+    });
+    delete opts.arguments;
 
     // The following cases are only used for more coverage. The real world usage will never happen.
     const mqSdkLib = require('../../mq/lib');
@@ -473,7 +549,7 @@ function uldata(engine) {
           });
         },
         function (cb) {
-          const expectCount = engine === gmq.amqp ? 3 : 2;
+          const expectCount = 3;
           (function waitFn(retry) {
             if (retry < 0) {
               return void cb(Error(`receive ${testHandler.recvUlData.length}/${expectCount} data`));
@@ -490,9 +566,7 @@ function uldata(engine) {
               }
               const dataId = data.dataId;
               if (dataId === '1') {
-                if (engine !== gmq.amqp) {
-                  return void cb(Error('data1 wrong engine'));
-                } else if (data.time.getTime() !== now.getTime()) {
+                if (data.time.getTime() !== now.getTime()) {
                   return void cb(
                     Error(`data1.time ${data.time.toISOString()} eq ${now}.toISOString()`)
                   );
@@ -1062,7 +1136,7 @@ function dldataResp(engine) {
           });
         },
         function (cb) {
-          const expectCount = engine === gmq.amqp ? 3 : 2;
+          const expectCount = 3;
           (function waitFn(retry) {
             if (retry < 0) {
               return void cb(
@@ -1081,9 +1155,7 @@ function dldataResp(engine) {
               }
               const correlationId = data.correlationId;
               if (correlationId === '1') {
-                if (engine !== gmq.amqp) {
-                  return void cb(Error('data1 wrong engine'));
-                } else if (data.dataId !== data1.dataId) {
+                if (data.dataId !== data1.dataId) {
                   return void cb(Error(`data1.dataId ${data.dataId} eq ${data1.dataId}`));
                 } else if (data.error !== data1.error) {
                   return void cb(Error(`data1.error ${data.error} eq ${data1.error}`));
@@ -1220,7 +1292,7 @@ function dldataResult(engine) {
           });
         },
         function (cb) {
-          const expectCount = engine === gmq.amqp ? 3 : 2;
+          const expectCount = 3;
           (function waitFn(retry) {
             if (retry < 0) {
               return void cb(
@@ -1239,9 +1311,7 @@ function dldataResult(engine) {
               }
               const dataId = data.dataId;
               if (dataId === '1') {
-                if (engine !== gmq.amqp) {
-                  return void cb(Error('data1 wrong engine'));
-                } else if (data.status !== data1.status) {
+                if (data.status !== data1.status) {
                   return void cb(Error(`data1.status ${data.status} eq ${data1.status}`));
                 } else if (data.message !== data1.message) {
                   return void cb(Error(`data1.message ${data.message} eq ${data1.message}`));
@@ -1271,6 +1341,7 @@ function dldataResult(engine) {
 
 module.exports = {
   newDefault,
+  newRegisteredEngine,
   newManual,
   newWrongOpts,
   close,
@@ -11,6 +11,7 @@ function suite(engine) {
     describe('ApplicationMgr', function () {
       it('new() with default options', appMgr.newDefault(engine));
       it('new() with manual options', appMgr.newManual(engine));
+      it('new() with registered engine', appMgr.newRegisteredEngine(engine));
       it('new() with wrong opts', appMgr.newWrongOpts(engine));
       it('close()', appMgr.close(engine));
 
@@ -29,6 +30,7 @@ function suite(engine) {
       it('new() with manual options', netMgr.newManual(engine));
       it('new() with wrong opts', netMgr.newWrongOpts(engine));
       it('close()', netMgr.close(engine));
+      it('close() with drain', netMgr.closeDrain(engine));
 
       it('uldata', netMgr.uldata(engine));
       it('uldata with wrong content', netMgr.uldataWrong(engine));
@@ -43,6 +45,8 @@ function suite(engine) {
 
     if (engine === gmq.amqp) {
       after(removeRabbitmqQueues);
+    } else if (engine === gmq.memory) {
+      after(gmq.memory.clearBrokers);
     }
   };
 }
@@ -117,6 +117,8 @@ function newConnection(engine, callback) {
 function connHostUri(engine) {
   if (engine === gmq.amqp) {
     return new URL('amqp://localhost');
+  } else if (engine === gmq.memory) {
+    return new URL('memory://localhost');
   } else if (engine === gmq.mqtt) {
     return new URL('mqtt://localhost');
   }
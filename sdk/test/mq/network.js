@@ -5,7 +5,6 @@ const assert = require('assert');
 const async = require('async');
 const deepEqual = require('deep-equal');
 
-const gmq = require('general-mq');
 const { AmqpConnection } = require('general-mq/lib/amqp-connection');
 const { AmqpQueue } = require('general-mq/lib/amqp-queue');
 const { Events, Status } = require('general-mq/lib/constants');
@@ -262,6 +261,46 @@ function newWrongOpts(engine) {
       new NetworkMgr(connPool, hostUri, opts, handlers);
     });
     delete opts.sharedPrefix;
+    opts.tls = 1;
+    assert.throws(() => {
+      new NetworkMgr(connPool, hostUri, opts, handlers);
+    });
+    delete opts.tls;
+    opts.agent = {};
+    assert.throws(() => {
+      new NetworkMgr(connPool, hostUri, opts, handlers);
+    });
+    delete opts.agent;
+    opts.logger = 1;
+    assert.throws(() => {
+      new NetworkMgr(connPool, hostUri, opts, handlers);
+    });
+    opts.logger = { info: () => {} };
+    assert.throws(() => {
+      new NetworkMgr(connPool, hostUri, opts, handlers);
+    });
+    delete opts.logger;
+    opts.queueType = 1;
+    assert.throws(() => {
+      new NetworkMgr(connPool, hostUri, opts, handlers);
+    });
+    delete opts.queueType;
+    opts.arguments = [];
+    assert.throws(() => {
+      new NetworkMgr(connPool, hostUri, opts, handlers);
+    });
+    delete opts.arguments;
+    opts.presence = 1;
+    assert.throws(() => {
+      new NetworkMgr(connPool, hostUri, opts, handlers);
+    });
+    if (hostUri.protocol !== 'mqtt:') {
+      opts.presence = true;
+      assert.throws(() => {
+        new NetworkMgr(connPool, hostUri, opts, handlers);
+      });
+    }
+    delete opts.presence;
 
     // The following cases are only used for more coverage. The real world usage will never happen.
     const mqSdkLib = require('../../mq/lib');
@@ -321,6 +360,129 @@ function close(engine) {
   };
 }
 
+/**
+ * Test `close()` with draining in-flight handlers.
+ *
+ * @param {Engine} engine
+ */
+function closeDrain(engine) {
+  return function (done) {
+    /** @type {AmqpQueue|MqttQueue} */
+    let queue;
+    /** @type {NetworkMgr} */
+    let mgr;
+    let received = false;
+    let handled = false;
+
+    async.waterfall(
+      [
+        function (cb) {
+          const connPool = lib.mgrConns;
+          const hostUri = connHostUri(engine);
+          const handlers = {
+            onDlData: (_mgr, _data, callback) => {
+              received = true;
+              setTimeout(() => {
+                handled = true;
+                callback();
+              }, 100);
+            },
+            onCtrl: () => {},
+          };
+
+          let complete = 0;
+
+          const opts = {
+            unitId: 'unit_id',
+            unitCode: 'unit_code',
+            id: 'id_network',
+            name: 'code_network',
+            sharedPrefix: SHARED_PREFIX,
+          };
+          mgr = new NetworkMgr(connPool, hostUri, opts, handlers);
+          lib.netMgrs.push(mgr);
+          mgr.on(Events.Status, (status) => {
+            if (status === MgrStatus.Ready) {
+              complete++;
+              if (complete >= 2) {
+                return void cb(null);
+              }
+            }
+          });
+
+          lib.newConnection(engine, (err, poolConn) => {
+            if (err) {
+              return void cb(err);
+            }
+            lib.appNetConn = poolConn;
+
+            const qOpts = {
+              name: 'broker.network.unit_code.code_network.dldata',
+              isRecv: false,
+              reliable: true,
+              broadcast: false,
+            };
+            queue = new engine.Queue(qOpts, poolConn.conn);
+            lib.appNetQueues.push(queue);
+            queue.on(Events.Status, (status) => {
+              if (status === Status.Connected) {
+                complete++;
+                if (complete >= 2) {
+                  return void cb(null);
+                }
+              }
+            });
+            queue.connect();
+          });
+        },
+        function (cb) {
+          const data = {
+            dataId: '1',
+            pub: new Date().toISOString(),
+            expiresIn: 1000,
+            networkAddr: 'addr1',
+            data: '01',
+          };
+          queue.sendMsg(Buffer.from(JSON.stringify(data)), (err) => {
+            cb(err ? `send data error ${err}` : null);
+          });
+        },
+        function (cb) {
+          (function waitFn(retry) {
+            if (retry < 0) {
+              return void cb(Error('not receive data'));
+            } else if (!received) {
+              return void setTimeout(() => {
+                waitFn(retry - 1);
+              }, 10);
+            }
+            cb(null);
+          })(150);
+        },
+        function (cb) {
+          assert.throws(() => {
+            mgr.close([], () => {});
+          });
+          assert.throws(() => {
+            mgr.close({ drainTimeoutMillis: -1 }, () => {});
+          });
+          mgr.close({ drainTimeoutMillis: 5000 }, (err) => {
+            if (err) {
+              return void cb(err);
+            } else if (!handled) {
+              return void cb(Error('closed before the handler completes'));
+            }
+            cb(null);
+          });
+        },
+      ],
+      (err) => {
+        done(err || null);
+      }
+    );
+  };
+}
+
 /**
  * Test generating uldata.
  *
@@ -656,7 +818,7 @@ function dldata(engine) {
           });
         },
         function (cb) {
-          const expectCount = engine === gmq.amqp ? 3 : 2;
+          const expectCount = 3;
           (function waitFn(retry) {
             if (retry < 0) {
               return void cb(Error(`receive ${testHandler.recvDlData.length}/${expectCount} data`));
@@ -673,9 +835,7 @@ function dldata(engine) {
               }
               const dataId = data.dataId;
               if (dataId === '1') {
-                if (engine !== gmq.amqp) {
-                  return void cb(Error('data1 wrong engine'));
-                } else if (data.pub.getTime() !== now.getTime()) {
+                if (data.pub.getTime() !== now.getTime()) {
                   return void cb(
                     Error(`data1.pub ${data.pub.toISOString()} eq ${now.toISOString()}`)
                   );
@@ -1166,7 +1326,7 @@ function ctrl(engine) {
           });
         },
         function (cb) {
-          const expectCount = engine === gmq.amqp ? 6 : 5;
+          const expectCount = 6;
           (function waitFn(retry) {
             if (retry < 0) {
               return void cb(Error(`receive ${testHandler.recvCtrl.length}/${expectCount} data`));
@@ -1189,9 +1349,7 @@ function ctrl(engine) {
               }
               const operation = data.operation;
               if (operation === 'add-device') {
-                if (engine !== gmq.amqp) {
-                  return void cb(Error('data1 wrong engine'));
-                } else if (data.time.getTime() !== now.getTime()) {
+                if (data.time.getTime() !== now.getTime()) {
                   return void cb(
                     Error(`data1.time ${data.time.toISOString()} eq ${now.toISOString()}`)
                   );
@@ -1267,7 +1425,7 @@ function ctrl(engine) {
               }
             }
             const result =
-              (recv_dev_add || engine !== gmq.amqp) &&
+              recv_dev_add &&
               recv_dev_add_bulk &&
               recv_dev_add_range &&
               recv_dev_del &&
@@ -1287,6 +1445,7 @@ module.exports = {
   newManual,
   newWrongOpts,
   close,
+  closeDrain,
   uldata,
   uldataWrong,
   dldata,